@@ -1,4 +1,23 @@
 // Minimal static app to render pricing table and calculator
+// (cost math lives in pricing-engine.mjs)
+
+import {
+  UNIT_COMPONENTS, BASE_CURRENCY, currencyRate, DATE_RE, DEFAULT_REGION,
+  getActiveModels, RECENT_CHANGE_DAYS, lastPriceChange, hasRecentPriceChange,
+  CAPABILITIES, resolvePrice, isTierPriced, usesCacheFallback,
+  calcCostWithCached, DEFAULT_EMBEDDING, REEMBEDS_PER_MONTH, isEmbeddingView, isWorkflowView,
+  displayPromptTokens, WORKFLOW_TEMPLATES, DEFAULT_WORKFLOW,
+  WORKFLOW_STEP_FIELDS, sanitizeStep, calcWorkflowCost, calcRowCosts,
+  DEFAULT_BUDGET, isBudgetMode, calcBudgetFit, calcUsageCost, modelKey,
+  sortModels, rankByCost, calcSelfHosting, calcBreakEvenRpd, cheapestApiModel,
+  isProvisionedOnly, calcProvisioned, calcProvisionedCrossover, calcMonthlyRequests,
+  SORT_KEYS, isStepList,
+} from './pricing-engine.mjs';
+import { parseUsageLog, summarizeUsage } from './usage-log.mjs';
+import { TOKENIZER_FAMILIES, DEFAULT_TOKENIZER, tokenizerFamily, estimateTokens, estimateTokensByFamily } from './token-estimator.mjs';
+import { pricingRecords, sanitizeDiscount, fmtDiscount, mergePricingData } from './custom-pricing.mjs';
+import { decodeURLParams, encodeURLParams } from './url-state.mjs';
+import { parseFilterQuery, matchesFilter } from './filter-query.mjs';
 
 const DATA_FILES = [
   'anthropic-pricing.json',
@@ -15,45 +34,90 @@ async function fetchJsonAny(path){
   try { return JSON.parse(text); } catch(e){ throw new Error(`Invalid JSON in ${path}`); }
 }
 
-function isAudioOrEmbeddingOnly(rec){
-  const modelId = (rec.model_id || '').toLowerCase();
-  const modelName = (rec.model_name || '').toLowerCase();
-  // Check for audio-only models
-  if(modelId.includes('audio') || modelName.includes('audio')){
-    return true;
-  }
-  // Check for embedding-only models
-  if(modelId.includes('embedding') || modelName.includes('embedding')){
-    return true;
+// Per-request usage inputs for the non-token units (element id == globalTokens key)
+const USAGE_INPUTS = [
+  { key: 'imagesIn', param: 'img' },
+  { key: 'imagesOut', param: 'imgout' },
+  { key: 'audioMinutes', param: 'audio' },
+  { key: 'searches', param: 'search' },
+];
+
+const EXCHANGE_RATES_FILE = 'exchange-rates.json';
+
+// Minimum context choices for the capability filter
+const MIN_CONTEXT_OPTIONS = [32000, 128000, 200000, 1000000];
+
+function renderDataStatus(statusEl, modelCount, warnings){
+  if(!statusEl) return;
+  let text = `Loaded ${modelCount} models`;
+  if(warnings.length){
+    text += ` · ${warnings.length} data warning${warnings.length===1?'':'s'}: ${warnings[0]}`;
+    if(warnings.length > 1) text += ` (+${warnings.length - 1} more)`;
   }
-  return false;
+  statusEl.textContent = text;
+  statusEl.title = warnings.join('\n');
+  statusEl.classList.toggle('has-warnings', warnings.length > 0);
 }
 
-function normalize(rec){
-  const std = (rec.pricing && rec.pricing.standard) || {};
-  const batch = (rec.pricing && rec.pricing.batch) || {};
-  const val = p => (p && typeof p.price_per_million_tokens === 'number') ? p.price_per_million_tokens : null;
-  const isFiltered = isAudioOrEmbeddingOnly(rec);
-  return {
-    provider: rec.provider || 'Unknown',
-    model_id: rec.model_id || '',
-    model_name: rec.model_name || rec.model_id || 'Unknown',
-    context_length: rec.context_length || null,
-    availability: rec.availability || 'unknown',
-    input: val(std.input),
-    output: val(std.output),
-    batch_input: val(batch.input),
-    batch_output: val(batch.output),
-    currency: (std.input && std.input.currency) || (std.output && std.output.currency) || 'USD',
-    is_filtered: isFiltered,
-    raw: rec,
-  };
+function renderPriceChanges(models){
+  const el = document.getElementById('priceChanges');
+  if(!el) return;
+  const changed = models.filter(m => hasRecentPriceChange(m));
+  el.textContent = changed.length
+    ? ` · Price changed in the last ${RECENT_CHANGE_DAYS} days: ${changed.map(m => `${m.model_name} (${lastPriceChange(m)})`).join(', ')}`
+    : '';
 }
 
-function fmtPrice(n){
+// Selected display currency and its rate per BASE_CURRENCY (falls back to the base)
+function displayCurrency(){
+  const state = window.__state;
+  const rate = state && currencyRate(state.exchangeRates, state.currency);
+  return rate ? { code: state.currency, rate } : { code: BASE_CURRENCY, rate: 1 };
+}
+
+const moneyFormats = new Map();
+const fixedDigits = d => ({ minimumFractionDigits: d, maximumFractionDigits: d });
+
+// Format a BASE_CURRENCY amount in the display currency; `digits` picks
+// Intl.NumberFormat digit options from the converted value
+function fmtMoney(n, digits){
   if(n == null) return '—';
-  const s = n >= 100 ? n.toFixed(0) : (n >= 10 ? n.toFixed(2) : n.toFixed(3));
-  return `$${s}`;
+  const { code, rate } = displayCurrency();
+  const value = n * rate;
+  const options = digits(Math.abs(value));
+  const key = `${code}|${JSON.stringify(options)}`;
+  if(!moneyFormats.has(key)) moneyFormats.set(key, new Intl.NumberFormat(undefined, { style: 'currency', currency: code, ...options }));
+  return moneyFormats.get(key).format(value);
+}
+
+function currencySymbol(){
+  const { code } = displayCurrency();
+  const parts = new Intl.NumberFormat(undefined, { style: 'currency', currency: code }).formatToParts(0);
+  return (parts.find(p => p.type === 'currency') || {}).value || code;
+}
+
+const priceDigits = v => fixedDigits(v >= 100 ? 0 : (v >= 10 ? 2 : 3));
+
+function fmtPrice(n){
+  return fmtMoney(n, priceDigits);
+}
+
+function fmtCost(n){
+  return fmtMoney(n, v => fixedDigits(v >= 10 ? 2 : 3));
+}
+
+// Per-unit prices are often fractions of a cent, so keep two significant digits
+function fmtUnitPrice(n){
+  return fmtMoney(n, v => v >= 0.01 ? priceDigits(v) : { maximumSignificantDigits: 2 });
+}
+
+function fmtUnitPrices(m, useBatch){
+  const parts = [];
+  for(const { component, label } of UNIT_COMPONENTS){
+    const price = resolvePrice(m, component, useBatch, 0);
+    if(price != null) parts.push(`${fmtUnitPrice(price)}/${label}`);
+  }
+  return parts.length ? parts.join(' · ') : '—';
 }
 
 function fmtContext(n){
@@ -61,42 +125,161 @@ function fmtContext(n){
   return Intl.NumberFormat().format(n);
 }
 
-function calcCost(tokensIn, tokensOut, m, useBatch){
-  let inPrice, outPrice;
-  if(useBatch){
-    // If batch pricing is not available, fallback to standard pricing
-    inPrice = m.batch_input != null ? m.batch_input : m.input;
-    outPrice = m.batch_output != null ? m.batch_output : m.output;
+// Supported capabilities as badges; unknown and unsupported flags are left out
+function fmtCapabilities(m){
+  const badges = CAPABILITIES
+    .filter(({ key }) => m.capabilities[key])
+    .map(({ label, title }) => `<span class="capability-badge" title="${title}">${label}</span>`);
+  return badges.length ? badges.join(' ') : '—';
+}
+
+// Embedding calculator inputs (element id == state.embedding key) and their URL params
+const EMBEDDING_INPUTS = [
+  { key: 'corpusSize', param: 'corpus' },
+  { key: 'corpusUnit', param: 'unit', values: ['documents', 'tokens'] },
+  { key: 'tokensPerDoc', param: 'tpd' },
+  { key: 'reembed', param: 'reembed', values: Object.keys(REEMBEDS_PER_MONTH) },
+  { key: 'queriesPerDay', param: 'qpd' },
+  { key: 'tokensPerQuery', param: 'tpq' },
+];
+
+// Fill a row's Budget cell and mark whether the model fits
+function renderBudgetCell(tr, m, state){
+  const cell = tr.querySelector('.budget-col');
+  const active = isBudgetMode(state);
+  const fit = active ? calcBudgetFit(m, state) : null;
+  tr.classList.toggle('fits-budget', !!fit && fit.fits);
+  tr.classList.toggle('over-budget', !!fit && !fit.fits);
+  if(!cell) return;
+  if(!fit){
+    cell.textContent = '—';
+    cell.removeAttribute('title');
+    return;
+  }
+  const count = n => n === Infinity ? 'unlimited' : Intl.NumberFormat(undefined, { maximumFractionDigits: n < 10 ? 1 : 0 }).format(n);
+  let main;
+  if(state.budget.solve === 'tokens'){
+    main = fit.maxTokens != null ? `${count(fit.maxTokens)} tok/req${fit.contextLimited ? ' (context)' : ''}` : '—';
+    cell.title = fit.maxTokens != null
+      ? `Up to ×${count(fit.scale)} the current token profile at ${count(state.rateValue || 0)} requests/day${fit.contextLimited ? ', limited by the context window' : ''}`
+      : 'Enter token counts to solve for tokens per request';
   } else {
-    inPrice = m.input;
-    outPrice = m.output;
+    main = `${count(fit.maxRpd)}/day`;
+    cell.title = 'Highest requests per day at the current token counts';
   }
-  if(inPrice == null && outPrice == null) return null;
-  const pin = inPrice ? (tokensIn/1e6) * inPrice : 0;
-  const pout = outPrice ? (tokensOut/1e6) * outPrice : 0;
-  return pin + pout;
+  const pct = Math.round(Math.abs(fit.headroom) * 100);
+  cell.innerHTML = `${main} · <span class="budget-headroom">${fit.fits ? `${pct}% headroom` : `${pct}% over`}</span>`;
 }
 
-function calcCostWithCached(tokens, m, useBatch, cacheFactor){
-  let inPrice, outPrice;
-  if(useBatch){
-    // If batch pricing is not available, fallback to standard pricing
-    inPrice = m.batch_input != null ? m.batch_input : m.input;
-    outPrice = m.batch_output != null ? m.batch_output : m.output;
-  } else {
-    inPrice = m.input;
-    outPrice = m.output;
+// Badge tooltip, e.g. "Self-hosted: $4.10/hour per instance · 2,400 tokens/s · 60% utilization"
+function selfHostedSummary(sh){
+  const throughput = sh.input_tokens_per_second !== sh.tokens_per_second
+    ? `${fmtCount(sh.tokens_per_second)} tokens/s generated, ${fmtCount(sh.input_tokens_per_second)} prompt`
+    : `${fmtCount(sh.tokens_per_second)} tokens/s`;
+  const minimum = sh.min_instances !== 1 ? ` · at least ${sh.min_instances} instances` : '';
+  return `Self-hosted: ${fmtPrice(sh.price_per_hour)}/hour per instance · ${throughput} · ${Math.round(sh.utilization * 100)}% utilization${minimum}`;
+}
+
+// Badge tooltip, e.g. "Provisioned throughput per model unit: $21.18/hour no-commit · $15.20/hour 6-month"
+function provisionedSummary(p){
+  const terms = p.terms.map(t => `${fmtPrice(t.price_per_hour)}/hour ${t.short}`).join(' · ');
+  const throughput = [
+    p.input_tokens_per_minute ? `${fmtCount(p.input_tokens_per_minute)} input` : '',
+    p.output_tokens_per_minute ? `${fmtCount(p.output_tokens_per_minute)} output` : '',
+  ].filter(Boolean).join(', ');
+  return `Provisioned throughput per model unit: ${terms}${throughput ? ` · ${throughput} tokens/minute` : ' · throughput not published; one unit assumed'}`;
+}
+
+// Self-hosted note: the instances needed and the volume above which they
+// keep beating the cheapest pay-per-token row (`api`, see cheapestApiModel)
+function selfHostingNote(m, cost, state, api){
+  const { instances } = calcSelfHosting(m, cost, state.rateValue);
+  const breakEven = api ? calcBreakEvenRpd(m, cost, api.cost) : null;
+  const instanceText = `${instances} instance${instances === 1 ? '' : 's'}`;
+  let label = instanceText;
+  let title = `${instanceText} at ${fmtPrice(m.self_hosted.price_per_hour)}/hour for ${fmtCount(state.rateValue || 0)} requests/day`;
+  if(api){
+    const versus = `${api.model.model_name} (cheapest API row, ${fmtUnitPrice(api.cost)}/request)`;
+    label += breakEven != null ? ` · break-even ${fmtCompact(breakEven)}/day` : ' · API cheaper';
+    title += breakEven != null
+      ? `\nCheaper than ${versus} at any volume above ${fmtCount(Math.ceil(breakEven))} requests/day`
+      : `\n${versus} is cheaper at any volume`;
   }
-  if(inPrice == null && outPrice == null) return null;
-  const pin = inPrice ? (tokens.in/1e6) * inPrice : 0;
-  const pcached = inPrice ? (tokens.cached/1e6) * inPrice * (cacheFactor ?? 0.5) : 0;
-  const pout = outPrice ? (tokens.out/1e6) * outPrice : 0;
-  return pin + pcached + pout;
+  return { className: 'self-hosting', label, title };
 }
 
-function calcMonthlyRequests(rateValue){
-  if(!rateValue || rateValue <= 0) return 0;
-  return rateValue * 30; // RPD * 30 days
+// Provisioned note: model units and the cheapest term at the current volume;
+// rows that also have token prices compare it with on-demand (`cost` per
+// request) and give the crossover volume for each term
+function provisionedNote(m, cost, state){
+  const tokens = state.globalTokens || { in: 0, cached: 0, out: 0 };
+  const terms = calcProvisioned(m, tokens, state.rateValue);
+  const units = `${terms[0].units} unit${terms[0].units === 1 ? '' : 's'}`;
+  const volume = `${fmtCount(state.rateValue || 0)} requests/day`;
+  const termLine = t => `${t.label}: ${fmtCost(t.monthly)}/month at ${fmtPrice(t.price_per_hour)}/hour per unit`;
+  if(isProvisionedOnly(m) || cost == null){
+    return { className: 'provisioning', label: `${units} · ${terms[0].short}`, title: `Provisioned throughput only: ${units} for ${volume}\n${terms.map(termLine).join('\n')}` };
+  }
+  const crossover = t => calcProvisionedCrossover(m, t, cost, tokens);
+  const best = terms[0];
+  const label = `${best.short} provisioned ${fmtCost(best.monthly)}${crossover(best) != null ? ` · crossover ${fmtCompact(crossover(best))}/day` : ' · on-demand cheaper'}`;
+  const lines = terms.map(t => `${termLine(t)} · ${crossover(t) != null ? `cheaper at any volume above ${fmtCount(Math.ceil(crossover(t)))} requests/day` : 'on-demand cheaper at any volume'}`);
+  const onDemand = `On-demand: ${fmtCost(cost * calcMonthlyRequests(state.rateValue || 0))}/month for ${volume}`;
+  return { className: 'provisioning', label, title: `${onDemand}\nProvisioned (${units}):\n${lines.join('\n')}` };
+}
+
+// Monthly cell, with a note for self-hosted and provisioned-throughput rows
+function renderMonthlyCell(tr, m, state, api){
+  const cell = tr.querySelector('.monthly-cost');
+  if(!cell) return;
+  const { cost, monthly } = calcRowCosts(m, state);
+  cell.textContent = fmtCost(monthly);
+  cell.removeAttribute('title');
+  if(isEmbeddingView(state) || isWorkflowView(state)) return;
+  let note = null;
+  if(m.self_hosted && cost != null) note = selfHostingNote(m, cost, state, api);
+  else if(m.provisioned && !m.self_hosted) note = provisionedNote(m, cost, state);
+  if(!note) return;
+  // Shown through CSS so the note stays out of CSV/Markdown exports
+  cell.innerHTML = `${fmtCost(monthly)}<span class="${note.className}" data-label="${escapeHtml(note.label)}"></span>`;
+  cell.title = note.title;
+}
+
+// Log cost column: the imported usage log priced on this model, with the
+// change from what it cost on the models it used (`actual`)
+function renderUsageCell(tr, m, state, actual){
+  const cell = tr.querySelector('.usage-col');
+  if(!cell) return;
+  const cost = state.usageLog ? calcUsageCost(state.usageLog.entries, m, state.cacheFactor) : null;
+  if(cost == null){
+    cell.textContent = '—';
+    return;
+  }
+  const diff = actual ? (cost - actual) / actual * 100 : null;
+  const delta = diff != null && Math.abs(diff) >= 0.05
+    ? `<span class="usage-delta ${diff > 0 ? 'delta-up' : 'delta-down'}">${diff > 0 ? '+' : '−'}${Math.abs(diff).toFixed(1)}%</span>`
+    : '';
+  cell.innerHTML = `${fmtCost(cost)}${delta}`;
+}
+
+// What the imported log cost on the models it used, or null without one
+function usageActualCost(state){
+  return state.usageLog ? usageSummary(state).total.actual : null;
+}
+
+// Display name of a canonical model: the first-party record's name, else a
+// reseller's name without its "Vendor: " prefix
+function canonicalName(members){
+  const own = members.find(m => m.model_id === m.canonical_id);
+  return own ? own.model_name : members[0].model_name.replace(/^[^:]+:\s*/, '');
+}
+
+// Per-step breakdown shown as a tooltip on workflow cost cells
+function workflowBreakdown(m, state){
+  const fmt = v => fmtMoney(v, () => fixedDigits(4));
+  return calcWorkflowCost(m, state.workflow || DEFAULT_WORKFLOW, state).steps
+    .map(step => `${step.name}${step.model && step.model !== m ? ` (${step.model.model_name})` : ''}: ${fmt(step.cost)}`)
+    .join('\n');
 }
 
 function renderRows(rows){
@@ -108,31 +291,31 @@ function renderRows(rows){
   if(!state) return;
   const tokens = state.globalTokens || { in: 0, cached: 0, out: 0 };
   const useBatch = state.useBatch || false;
-  const monthlyRequests = calcMonthlyRequests(state.rateValue || 0);
+  // Long-context tiers only apply to per-request prompts, not embedding corpora
+  const promptTokens = displayPromptTokens(state);
 
   // Calculate costs for all rows to determine ranking
-  const rowsWithCosts = rows.map(r => ({
-    ...r,
-    calculatedCost: calcCostWithCached(tokens, r, useBatch, state.cacheFactor)
-  }));
+  const rowsWithCosts = rows.map(r => {
+    const costs = calcRowCosts(r, state);
+    return { ...r, calculatedCost: costs.cost, calculatedMonthly: costs.monthly };
+  });
 
   // Sort by cost to determine top N
-  const sortedByCost = [...rowsWithCosts].sort((a,b) => {
-    const aCost = a.calculatedCost ?? Number.POSITIVE_INFINITY;
-    const bCost = b.calculatedCost ?? Number.POSITIVE_INFINITY;
-    return aCost - bCost;
-  });
+  const sortedByCost = rankByCost(rowsWithCosts, state);
+  const usageActual = usageActualCost(state);
+  const api = cheapestApiModel(rows, state);
 
-  for(let i = 0; i < rowsWithCosts.length; i++){
-    const r = rowsWithCosts[i];
+  const fmt = fmtCost;
+  const buildRow = (r) => {
     const tr = document.createElement('tr');
-    const key = `${r.provider}::${r.model_id || r.model_name}`;
+    const key = modelKey(r);
     tr.dataset.key = key;
+    const pinned = (state.pinned || []).includes(key);
     const cost = r.calculatedCost;
-    const monthly = cost != null ? cost * monthlyRequests : null;
-    const fmt = v => v==null ? '—' : `$${v.toFixed(v>=10?2:3)}`;
-    const inputPrice = useBatch ? (r.batch_input != null ? r.batch_input : r.input) : r.input;
-    const outputPrice = useBatch ? (r.batch_output != null ? r.batch_output : r.output) : r.output;
+    const monthly = r.calculatedMonthly;
+    const inputPrice = resolvePrice(r, 'input', useBatch, promptTokens);
+    const outputPrice = resolvePrice(r, 'output', useBatch, promptTokens);
+    const tierAttr = isTierPriced(r, 'input', useBatch, promptTokens) ? ` data-tiered="1" title="Long-context rate for ${fmtContext(promptTokens)} prompt tokens"` : '';
 
     // Add ranking class for top 3
     const rank = sortedByCost.findIndex(item => item === r);
@@ -151,18 +334,104 @@ function renderRows(rows){
       }
     }
 
-    tr.className = rankClass;
+    const modalityBadge = r.modality !== 'text' && r.modality !== 'embedding'
+      ? `<span class="modality-badge" data-label="${escapeHtml(r.modality)}"></span>`
+      : '';
+    const historyBtn = lastPriceChange(r)
+      ? `<button class="history-btn${hasRecentPriceChange(r) ? ' recent' : ''}" data-label="🕘" aria-label="Price history" title="Price history (last change ${lastPriceChange(r)})"></button>`
+      : '';
+    const cacheBadge = !isEmbeddingView(state) && usesCacheFallback(r)
+      ? `<span class="cache-fallback" data-label="cache est." title="No cache prices published; cached input is estimated at input × ${state.cacheFactor ?? 0.5}"></span>`
+      : '';
+
+    const overrideBadge = r.override ? overrideBadgeHtml(r.override) : '';
+    const selfHostedBadge = r.self_hosted
+      ? `<span class="self-hosted-badge" data-label="self-hosted" title="${escapeHtml(selfHostedSummary(r.self_hosted))}"></span>`
+      : '';
+    const provisionedBadge = r.provisioned
+      ? `<span class="provisioned-badge" data-label="provisioned" title="${escapeHtml(provisionedSummary(r.provisioned))}"></span>`
+      : '';
+
+    tr.className = [rankClass, r.unavailable ? 'unavailable' : ''].filter(Boolean).join(' ');
     tr.innerHTML = `
-      <td>${r.provider}</td>
-      <td>${rankBadge}${r.model_name}</td>
-      <td class="price pricing-input-col">${fmtPrice(inputPrice)}</td>
-      <td class="price pricing-output-col">${fmtPrice(outputPrice)}</td>
+      <td class="pin-col"><button class="pin-btn${pinned ? ' pinned' : ''}" title="${pinned ? 'Unpin from' : 'Pin to'} comparison" aria-pressed="${pinned}">📌</button></td>
+      <td>${escapeHtml(r.provider)}</td>
+      <td>${rankBadge}${escapeHtml(r.model_name)}${modalityBadge}${selfHostedBadge}${provisionedBadge}${cacheBadge}${overrideBadge}${historyBtn}</td>
+      <td class="price pricing-input-col"${tierAttr}>${fmtPrice(inputPrice)}</td>
+      <td class="price pricing-output-col chat-only"${tierAttr}>${fmtPrice(outputPrice)}</td>
+      <td class="price other-units-col chat-only">${fmtUnitPrices(r, useBatch)}</td>
       <td>${fmtContext(r.context_length)}</td>
-      <td><span class="avail ${r.availability==='production'?'prod':''}">${r.availability}</span></td>
-      <td class="cost">${fmt(cost)}</td>
+      <td class="capability-col chat-only">${fmtCapabilities(r)}</td>
+      <td class="capability-col chat-only">${fmtContext(r.max_output_tokens)}</td>
+      <td class="capability-col chat-only">${escapeHtml(r.knowledge_cutoff || '—')}</td>
+      <td><span class="avail ${r.availability==='production'?'prod':''}${r.unavailable?' unavailable':''}"${r.unavailable ? ` title="Not offered in ${escapeHtml(r.region)}"` : ''}>${escapeHtml(r.availability)}</span></td>
+      <td class="cost"${isWorkflowView(state) ? ` title="${escapeHtml(workflowBreakdown(r, state))}"` : ''}>${fmt(cost)}</td>
       <td class="cost monthly-cost">${fmt(monthly)}</td>
+      <td class="budget-col chat-only request-only"></td>
+      <td class="usage-col chat-only"></td>
     `;
-    frag.appendChild(tr);
+    renderMonthlyCell(tr, r, state, api);
+    renderBudgetCell(tr, r, state);
+    renderUsageCell(tr, r, state, usageActual);
+    return tr;
+  };
+
+  // One summary row per canonical model sold by several vendors, followed by
+  // its (collapsible) per-vendor rows
+  const buildGroupRow = (id, members) => {
+    const byCost = [...members].sort((a,b) => (a.calculatedCost ?? Infinity) - (b.calculatedCost ?? Infinity));
+    const cheapest = byCost[0];
+    const expanded = (state.expandedGroups || []).includes(id);
+    const vendors = byCost.map((m, i) => `${i === 0 ? '<strong>' : ''}${escapeHtml(m.provider)} ${fmt(m.calculatedCost)}${i === 0 ? '</strong>' : ''}`).join(' vs ');
+    const tr = document.createElement('tr');
+    tr.className = 'group-row';
+    tr.dataset.group = id;
+    tr.innerHTML = `
+      <td class="pin-col"><button class="group-toggle" aria-expanded="${expanded}" title="Show each vendor">${expanded ? '▾' : '▸'}</button></td>
+      <td>${members.length} vendors</td>
+      <td><strong>${escapeHtml(canonicalName(members))}</strong><div class="group-vendors">${vendors}</div></td>
+      <td class="price pricing-input-col">${fmtPrice(resolvePrice(cheapest, 'input', useBatch, promptTokens))}</td>
+      <td class="price pricing-output-col chat-only">${fmtPrice(resolvePrice(cheapest, 'output', useBatch, promptTokens))}</td>
+      <td class="price other-units-col chat-only">${fmtUnitPrices(cheapest, useBatch)}</td>
+      <td>${fmtContext(Math.max(...members.map(m => m.context_length || 0)))}</td>
+      <td class="capability-col chat-only">${fmtCapabilities(cheapest)}</td>
+      <td class="capability-col chat-only">${fmtContext(cheapest.max_output_tokens)}</td>
+      <td class="capability-col chat-only">${escapeHtml(cheapest.knowledge_cutoff || '—')}</td>
+      <td>cheapest: ${escapeHtml(cheapest.provider)}</td>
+      <td class="cost">${fmt(cheapest.calculatedCost)}</td>
+      <td class="cost monthly-cost">${fmt(cheapest.calculatedMonthly)}</td>
+      <td class="budget-col chat-only request-only"></td>
+      <td class="usage-col chat-only"></td>
+    `;
+    renderBudgetCell(tr, cheapest, state);
+    renderUsageCell(tr, cheapest, state, usageActual);
+    return tr;
+  };
+
+  const groups = new Map();
+  if(state.groupByModel){
+    for(const r of rowsWithCosts){
+      if(!r.canonical_id) continue;
+      if(!groups.has(r.canonical_id)) groups.set(r.canonical_id, []);
+      groups.get(r.canonical_id).push(r);
+    }
+  }
+  for(const r of rowsWithCosts){
+    const members = groups.get(r.canonical_id);
+    if(!members || members.length < 2){
+      frag.appendChild(buildRow(r));
+      continue;
+    }
+    if(members[0] !== r) continue;
+    const expanded = (state.expandedGroups || []).includes(r.canonical_id);
+    frag.appendChild(buildGroupRow(r.canonical_id, members));
+    for(const member of members){
+      const tr = buildRow(member);
+      tr.classList.add('group-member');
+      tr.dataset.group = r.canonical_id;
+      tr.hidden = !expanded;
+      frag.appendChild(tr);
+    }
   }
   tbody.appendChild(frag);
   const rowCountEl = document.getElementById('rowCount');
@@ -171,101 +440,996 @@ function renderRows(rows){
   }
 }
 
+// Prices and costs in the filter box are compared in the display currency,
+// matching the numbers shown in the table
+const displayAmount = v => v == null ? null : v * displayCurrency().rate;
+
+// Fields the filter box understands (`field:value`, `field>=number`, ...,
+// parsed by filter-query.mjs). text fields match substrings with `:` and whole
+// values with `=`; number and month fields compare; bool fields take yes/no.
+const FILTER_FIELDS = {
+  provider: { type: 'text', get: m => m.provider },
+  name: { type: 'text', get: m => m.model_name },
+  id: { type: 'text', get: m => m.model_id },
+  availability: { type: 'text', get: m => m.availability },
+  modality: { type: 'text', get: m => m.modality },
+  context: { type: 'number', get: m => m.context_length },
+  max_output: { type: 'number', get: m => m.max_output_tokens },
+  cutoff: { type: 'month', get: m => m.knowledge_cutoff },
+  input: { type: 'number', get: (m, state) => displayAmount(resolvePrice(m, 'input', state.useBatch, displayPromptTokens(state))) },
+  output: { type: 'number', get: (m, state) => displayAmount(resolvePrice(m, 'output', state.useBatch, displayPromptTokens(state))) },
+  cached: { type: 'number', get: (m, state) => displayAmount(resolvePrice(m, 'cache_read', state.useBatch, displayPromptTokens(state))) },
+  cost: { type: 'number', get: (m, state) => displayAmount(calcRowCosts(m, state).cost) },
+  monthly: { type: 'number', get: (m, state) => displayAmount(calcRowCosts(m, state).monthly) },
+  batch: { type: 'bool', get: m => m.batch_input != null || m.batch_output != null },
+  self_hosted: { type: 'bool', get: m => !!m.self_hosted },
+  provisioned: { type: 'bool', get: m => !!m.provisioned },
+  ...Object.fromEntries(CAPABILITIES.map(({ key }) => [key, { type: 'bool', get: m => m.capabilities[key] === true }])),
+};
+
+const FILTER_ALIASES = { model: 'name', avail: 'availability', ctx: 'context', in: 'input', out: 'output', json: 'json_mode', finetune: 'fine_tuning', selfhosted: 'self_hosted' };
+
+// Show parse errors under the filter box; an invalid query filters nothing
+function renderFilterError(error){
+  const input = document.getElementById('filterInput');
+  const el = document.getElementById('filterError');
+  if(input) input.classList.toggle('invalid', !!error);
+  if(!el) return;
+  el.textContent = error || '';
+  el.hidden = !error;
+}
+
+// Rows of the active view after filters, sorting and Top N, plus any filter query error
+function filterSortRows(state){
+  // Embedding models have their own view with a corpus-based calculator;
+  // workflows rank the text models that fill their unpinned steps
+  const embeddings = isEmbeddingView(state);
+  let rows = getActiveModels(state).filter(m => isWorkflowView(state) ? m.modality === 'text' : (m.modality === 'embedding') === embeddings);
+  if(state.providers && state.providers.length){
+    rows = rows.filter(m => isProviderSelected(state, m.provider));
+  }
+  // Capability chips only keep models known to support every selected flag
+  for(const key of state.capabilityFilter || []){
+    rows = rows.filter(m => m.capabilities[key] === true);
+  }
+  if(state.minContext){
+    rows = rows.filter(m => (m.context_length || 0) >= state.minContext);
+  }
+
+  // Apply the filter query (see parseFilterQuery)
+  const query = parseFilterQuery(state.filterText || '', FILTER_FIELDS, FILTER_ALIASES);
+  if(query.node){
+    rows = rows.filter(m => matchesFilter(query.node, m, state, FILTER_FIELDS));
+  }
+  rows = sortModels(rows, state.sort, state);
+
+  // Apply top N filter (cheapest first)
+  if(state.topN && state.topN !== 'all'){
+    rows = rankByCost(rows, state).slice(0, parseInt(state.topN));
+  }
+  return { rows, error: query.error };
+}
+
 function applyFilterSort(state){
   if(!state || !state.data) {
     console.error('applyFilterSort: invalid state');
     return;
   }
-  // Filter out audio/embedding-only models
-  let rows = state.data.filter(m => !m.is_filtered);
-
-  // Apply text filter
-  if(state.filterText){
-    const searchTerm = state.filterText.toLowerCase();
-    rows = rows.filter(m => {
-      return (
-        m.provider.toLowerCase().includes(searchTerm) ||
-        m.model_name.toLowerCase().includes(searchTerm) ||
-        m.model_id.toLowerCase().includes(searchTerm) ||
-        (m.context_length && m.context_length.toString().includes(searchTerm))
-      );
+  const { rows, error } = filterSortRows(state);
+  renderFilterError(error);
+  renderRows(rows);
+  renderComparePanel(state);
+  renderCharts(state, rows);
+  renderUsagePanel(state, rows);
+  renderTokenEstimate(state, rows);
+}
+
+// Cost and Monthly for a model under standard or batch pricing, regardless of the toggle
+function calcCostsFor(m, state, useBatch){
+  return calcRowCosts(m, { ...state, useBatch });
+}
+
+// How much the cached tokens save versus billing them as regular input
+function calcCacheSavings(m, state){
+  const tokens = state.globalTokens || { in: 0, cached: 0, out: 0 };
+  if(isEmbeddingView(state) || !tokens.cached) return null;
+  const useBatch = state.useBatch || false;
+  const withCache = calcCostWithCached(tokens, m, useBatch, state.cacheFactor);
+  const uncached = calcCostWithCached({ ...tokens, in: tokens.in + tokens.cached, cached: 0 }, m, useBatch, state.cacheFactor);
+  if(withCache == null || uncached == null) return null;
+  return uncached - withCache;
+}
+
+// Signed change from a baseline amount, with the percentage
+function fmtDelta(value, base){
+  if(value == null || base == null) return '—';
+  const diff = value - base;
+  const sign = diff > 0 ? '+' : (diff < 0 ? '−' : '');
+  const pct = base ? ` (${sign}${Math.abs(diff / base * 100).toFixed(1)}%)` : '';
+  return `<span class="${diff > 0 ? 'delta-up' : 'delta-down'}">${sign}${fmtCost(Math.abs(diff))}${pct}</span>`;
+}
+
+function renderComparePanel(state){
+  const panel = document.getElementById('compare-panel');
+  const tbody = document.getElementById('compareBody');
+  if(!panel || !tbody) return;
+  const byKey = new Map(getActiveModels(state).map(m => [modelKey(m), m]));
+  const pinned = (state.pinned || []).map(key => byKey.get(key)).filter(Boolean);
+  panel.hidden = pinned.length === 0;
+  tbody.innerHTML = '';
+  if(!pinned.length) return;
+
+  const fmt = fmtCost;
+  const baselineKey = pinned.some(m => modelKey(m) === state.baseline) ? state.baseline : modelKey(pinned[0]);
+  const baseline = byKey.get(baselineKey);
+  const baseMonthly = calcRowCosts(baseline, state).monthly;
+
+  const frag = document.createDocumentFragment();
+  for(const m of pinned){
+    const key = modelKey(m);
+    const std = calcCostsFor(m, state, false);
+    const batch = calcCostsFor(m, state, true);
+    const { monthly } = calcRowCosts(m, state);
+    const savings = calcCacheSavings(m, state);
+    const delta = key === baselineKey ? '<span class="muted">baseline</span>' : fmtDelta(monthly, baseMonthly);
+    const tr = document.createElement('tr');
+    tr.dataset.key = key;
+    tr.innerHTML = `
+      <td><input type="radio" name="compareBaseline" class="baseline-radio" title="Use as baseline" ${key === baselineKey ? 'checked' : ''} /></td>
+      <td>${escapeHtml(`${m.provider} · ${m.model_name}`)}</td>
+      <td class="cost">${fmt(std.cost)}</td>
+      <td class="cost">${fmt(batch.cost)}</td>
+      <td class="cost">${fmt(savings)}</td>
+      <td class="cost">${fmt(monthly)}</td>
+      <td>${fmtContext(m.context_length)}</td>
+      <td class="cost">${delta}</td>
+      <td><button class="unpin-btn" title="Remove from comparison">✕</button></td>
+    `;
+    frag.appendChild(tr);
+  }
+  tbody.appendChild(frag);
+}
+
+const CHART_COLORS = ['#4ea1ff', '#2bd97c', '#ffd166', '#ff6b6b', '#c77dff', '#4dd4c6', '#ff9f43', '#f78fb3', '#a3cb38', '#9aa5b1'];
+
+// Lines on the cost chart when no visible model is pinned (the first table rows)
+const MAX_CHART_LINES = 8;
+
+// Points per cost curve across the volume range
+const CHART_SAMPLES = 48;
+
+const CHART_SIZE = { width: 640, height: 300, left: 64, right: 16, top: 12, bottom: 40 };
+
+// y value of the price-vs-context scatter
+const SCATTER_METRICS = {
+  input: { label: 'Input price per 1M tokens', value: (m, state) => resolvePrice(m, 'input', state.useBatch, displayPromptTokens(state)) },
+  output: { label: 'Output price per 1M tokens', value: (m, state) => resolvePrice(m, 'output', state.useBatch, displayPromptTokens(state)) },
+  cost: { label: 'Cost (as in the table)', value: (m, state) => calcRowCosts(m, state).cost },
+};
+
+const px = v => Math.round(v * 10) / 10;
+const fmtCompact = n => Intl.NumberFormat(undefined, { notation: 'compact', maximumSignificantDigits: 3 }).format(n);
+const fmtChartMoney = n => fmtMoney(n, () => ({ notation: 'compact', maximumSignificantDigits: 3 }));
+
+// What the cost chart's x axis varies: queries for embeddings, requests (or runs) otherwise
+function chartVolume(state){
+  if(isEmbeddingView(state)){
+    return { label: 'Queries per day', value: state.embedding.queriesPerDay, at: v => ({ ...state, embedding: { ...state.embedding, queriesPerDay: v } }) };
+  }
+  return { label: isWorkflowView(state) ? 'Workflow runs per day' : 'Requests per day', value: state.rateValue, at: v => ({ ...state, rateValue: v }) };
+}
+
+// Whole decades around the positive values, so both ends get a tick
+function logRange(values){
+  const positive = values.filter(v => v > 0);
+  if(!positive.length) return null;
+  const min = 10 ** Math.floor(Math.log10(Math.min(...positive)));
+  let max = 10 ** Math.ceil(Math.log10(Math.max(...positive)));
+  if(max <= min) max = min * 10;
+  return [min, max];
+}
+
+function logScale([min, max], from, to){
+  const lo = Math.log10(min);
+  const span = Math.log10(max) - lo;
+  return v => px(from + (Math.log10(Math.max(v, min)) - lo) / span * (to - from));
+}
+
+function logTicks([min, max]){
+  const ticks = [];
+  for(let e = Math.round(Math.log10(min)); e <= Math.round(Math.log10(max)); e++) ticks.push(10 ** e);
+  return ticks;
+}
+
+// Frame, grid lines and axis labels shared by both charts
+function chartAxes(x, y, xRange, yRange, xLabel, yLabel, fmtX, fmtY){
+  const { width, height, left, right, top, bottom } = CHART_SIZE;
+  const parts = [];
+  for(const t of logTicks(xRange)){
+    parts.push(`<line class="grid" x1="${x(t)}" x2="${x(t)}" y1="${top}" y2="${height - bottom}"/><text x="${x(t)}" y="${height - bottom + 14}" text-anchor="middle">${escapeHtml(fmtX(t))}</text>`);
+  }
+  for(const t of logTicks(yRange)){
+    parts.push(`<line class="grid" x1="${left}" x2="${width - right}" y1="${y(t)}" y2="${y(t)}"/><text x="${left - 6}" y="${y(t) + 4}" text-anchor="end">${escapeHtml(fmtY(t))}</text>`);
+  }
+  parts.push(`<rect class="axis" x="${left}" y="${top}" width="${width - left - right}" height="${height - top - bottom}"/>`);
+  parts.push(`<text x="${(left + width - right) / 2}" y="${height - 6}" text-anchor="middle">${escapeHtml(xLabel)}</text>`);
+  parts.push(`<text transform="translate(14 ${(top + height - bottom) / 2}) rotate(-90)" text-anchor="middle">${escapeHtml(yLabel)}</text>`);
+  return parts.join('');
+}
+
+const chartSvg = (label, body) => `<svg viewBox="0 0 ${CHART_SIZE.width} ${CHART_SIZE.height}" role="img" aria-label="${escapeHtml(label)}">${body}</svg>`;
+const legendItem = (color, text, dashed) => `<span class="chart-legend-item"><i style="background:${color}"${dashed ? ' class="dashed"' : ''}></i>${escapeHtml(text)}</span>`;
+
+// Monthly cost against daily volume (log-log) for the pinned models in view,
+// else the first rows of the table. Solid lines use the selected pricing type,
+// dashed lines the other one; markers show where two solid lines cross.
+function renderCostChart(state, rows){
+  const el = document.getElementById('costChart');
+  const note = document.getElementById('costChartNote');
+  if(!el || !note) return;
+  const pinned = rows.filter(m => (state.pinned || []).includes(modelKey(m)));
+  const models = (pinned.length ? pinned : rows).filter(m => calcRowCosts(m, state).monthly != null).slice(0, MAX_CHART_LINES);
+  const volume = chartVolume(state);
+  const current = volume.value > 0 ? volume.value : 1;
+  const decade = Math.floor(Math.log10(current));
+  const xRange = [10 ** Math.max(0, decade - 2), 10 ** (decade + 3)];
+  const xs = Array.from({ length: CHART_SAMPLES }, (_, i) => xRange[0] * (xRange[1] / xRange[0]) ** (i / (CHART_SAMPLES - 1)));
+  const selectedBatch = !!state.useBatch;
+  const series = [];
+  models.forEach((m, i) => {
+    const color = CHART_COLORS[i % CHART_COLORS.length];
+    // Embedding batch prices only change the one-time indexing cost, not the monthly curve
+    const hasBatch = !isEmbeddingView(state) && (m.batch_input != null || m.batch_output != null);
+    for(const useBatch of hasBatch ? [selectedBatch, !selectedBatch] : [selectedBatch]){
+      series.push({ m, color, useBatch, dashed: useBatch !== selectedBatch, ys: xs.map(v => calcRowCosts(m, { ...volume.at(v), useBatch }).monthly) });
+    }
+  });
+  const yRange = logRange(series.flatMap(s => s.ys));
+  if(!yRange){
+    el.innerHTML = '<p class="muted">No monthly costs to plot for these models.</p>';
+    note.innerHTML = '';
+    return;
+  }
+  const { width, height, left, right, top, bottom } = CHART_SIZE;
+  const x = logScale(xRange, left, width - right);
+  const y = logScale(yRange, height - bottom, top);
+
+  const lines = series.map(s => {
+    let d = '';
+    s.ys.forEach((v, k) => {
+      if(v == null) return;
+      d += `${d && s.ys[k - 1] != null ? 'L' : 'M'}${x(xs[k])},${y(v)}`;
     });
+    return `<path class="chart-line${s.dashed ? ' dashed' : ''}" d="${d}" stroke="${s.color}"><title>${escapeHtml(`${s.m.provider} · ${s.m.model_name} (${s.useBatch ? 'Batch' : 'Standard'})`)}</title></path>`;
+  });
+
+  const solid = series.filter(s => !s.dashed);
+  const crossings = [];
+  for(let a = 0; a < solid.length; a++){
+    for(let b = a + 1; b < solid.length; b++){
+      const A = solid[a], B = solid[b];
+      for(let k = 0; k + 1 < xs.length; k++){
+        if([A.ys[k], A.ys[k + 1], B.ys[k], B.ys[k + 1]].some(v => v == null)) continue;
+        const d0 = A.ys[k] - B.ys[k], d1 = A.ys[k + 1] - B.ys[k + 1];
+        if(!(d0 * d1 < 0)) continue;
+        const t = d0 / (d0 - d1);
+        crossings.push({
+          volume: xs[k] * (xs[k + 1] / xs[k]) ** t,
+          monthly: A.ys[k] + (A.ys[k + 1] - A.ys[k]) * t,
+          cheaper: d1 < 0 ? A.m : B.m,
+          other: d1 < 0 ? B.m : A.m,
+        });
+      }
+    }
   }
-  const key = state.sort.key;
-  if(key){
-    const dir = state.sort.dir;
-    const useBatch = state.useBatch || false;
-    const getCost = (m) => {
-      const tokens = state.globalTokens || {in:0, cached:0, out:0};
-      return calcCostWithCached(tokens, m, useBatch, state.cacheFactor) ?? Number.POSITIVE_INFINITY;
-    };
-    const getMonthlyCost = (m) => {
-      const cost = getCost(m);
-      const monthlyRequests = calcMonthlyRequests(state.rateValue || 0);
-      return cost !== Number.POSITIVE_INFINITY ? cost * monthlyRequests : Number.POSITIVE_INFINITY;
-    };
-    const cmp = (a,b) => {
-      if(key === 'cost'){
-        return getCost(a) - getCost(b);
+  const describe = c => `${c.cheaper.model_name} is cheaper than ${c.other.model_name} above ~${fmtCompact(c.volume)}/day (${fmtChartMoney(c.monthly)}/month)`;
+  const markers = crossings.map(c => `<circle class="crossing" cx="${x(c.volume)}" cy="${y(c.monthly)}" r="4"><title>${escapeHtml(describe(c))}</title></circle>`);
+  const currentLine = `<line class="current" x1="${x(current)}" x2="${x(current)}" y1="${top}" y2="${height - bottom}"><title>Current: ${fmtCompact(current)}/day</title></line>`;
+
+  el.innerHTML = chartSvg('Monthly cost by volume', chartAxes(x, y, xRange, yRange, volume.label, 'Monthly cost', fmtCompact, fmtChartMoney) + currentLine + lines.join('') + markers.join(''));
+  const other = selectedBatch ? 'Standard' : 'Batch';
+  note.innerHTML = [
+    `<div class="chart-legend">${models.map((m, i) => legendItem(CHART_COLORS[i % CHART_COLORS.length], `${m.provider} · ${m.model_name}`)).join('')}${series.some(s => s.dashed) ? legendItem('var(--muted)', other, true) : ''}</div>`,
+    crossings.length ? crossings.map(c => `<div>✕ ${escapeHtml(describe(c))}</div>`).join('') : '<div>No lines cross in this range.</div>',
+    pinned.length ? '' : `<div>Showing the first ${models.length} rows; pin models to choose which are plotted.</div>`,
+  ].join('');
+}
+
+// Price against context length (log-log) for every row in the table
+function renderContextChart(state, rows){
+  const el = document.getElementById('contextChart');
+  const legend = document.getElementById('contextChartLegend');
+  if(!el || !legend) return;
+  const metric = SCATTER_METRICS[state.scatterMetric] || SCATTER_METRICS.input;
+  const points = rows
+    .map(m => ({ m, value: metric.value(m, state) }))
+    .filter(p => p.m.context_length && p.value > 0);
+  const xRange = logRange(points.map(p => p.m.context_length));
+  const yRange = logRange(points.map(p => p.value));
+  if(!xRange || !yRange){
+    el.innerHTML = '<p class="muted">No models with both a context length and this price.</p>';
+    legend.innerHTML = '';
+    return;
+  }
+  const { width, height, left, right, top, bottom } = CHART_SIZE;
+  const x = logScale(xRange, left, width - right);
+  const y = logScale(yRange, height - bottom, top);
+  // Colors follow the full provider list so they do not shift as filters change
+  const providers = [...new Set(state.data.map(m => m.provider))].sort((a,b) => a.localeCompare(b));
+  const color = provider => CHART_COLORS[providers.indexOf(provider) % CHART_COLORS.length];
+  const dots = points.map(({ m, value }) => {
+    const pinned = (state.pinned || []).includes(modelKey(m));
+    const title = `${m.provider} · ${m.model_name}\n${fmtContext(m.context_length)} context · ${fmtUnitPrice(value)}`;
+    return `<circle class="chart-dot${pinned ? ' pinned' : ''}" cx="${x(m.context_length)}" cy="${y(value)}" r="${pinned ? 6 : 4}" fill="${color(m.provider)}"><title>${escapeHtml(title)}</title></circle>`;
+  });
+  el.innerHTML = chartSvg('Price against context length', chartAxes(x, y, xRange, yRange, 'Context length (tokens)', metric.label, fmtCompact, fmtChartMoney) + dots.join(''));
+  const shown = [...new Set(points.map(p => p.m.provider))].sort((a,b) => a.localeCompare(b));
+  legend.innerHTML = `<div class="chart-legend">${shown.map(p => legendItem(color(p), p)).join('')}</div>`;
+}
+
+// Charts follow the table's rows; they are only computed while the panel is open
+function renderCharts(state, rows){
+  const panel = document.getElementById('charts-panel');
+  const btn = document.getElementById('charts-btn');
+  if(btn) btn.setAttribute('aria-pressed', !!state.showCharts);
+  if(!panel) return;
+  panel.hidden = !state.showCharts;
+  if(!state.showCharts) return;
+  rows = rows || filterSortRows(state).rows;
+  renderCostChart(state, rows);
+  renderContextChart(state, rows);
+}
+
+function setupCharts(state){
+  const btn = document.getElementById('charts-btn');
+  if(btn){
+    btn.addEventListener('click', () => {
+      state.showCharts = !state.showCharts;
+      renderCharts(state);
+      updateURL(state);
+      saveState(state);
+    });
+  }
+  const metric = document.getElementById('scatterMetric');
+  if(metric){
+    metric.value = SCATTER_METRICS[state.scatterMetric] ? state.scatterMetric : 'input';
+    metric.addEventListener('change', () => {
+      state.scatterMetric = metric.value;
+      renderCharts(state);
+      updateURL(state);
+      saveState(state);
+    });
+  }
+}
+
+// The imported log priced on the models it used and on `alternative`
+function usageSummary(state, alternative){
+  return summarizeUsage(state.usageLog.entries, getActiveModels(state), { alternative, cacheFactor: state.cacheFactor });
+}
+
+const fmtRequests = n => n ? Intl.NumberFormat().format(n) : '—';
+
+function renderUsagePanel(state, rows){
+  const log = state.usageLog;
+  document.body.classList.toggle('has-usage-log', !!log);
+  const panel = document.getElementById('usage-panel');
+  if(!panel) return;
+  panel.hidden = !log;
+  if(!log) return;
+  rows = rows || filterSortRows(state).rows;
+
+  // Any priced row of the table can be the alternative; the cheapest by default
+  const options = rows.map(m => ({ m, cost: calcUsageCost(log.entries, m, state.cacheFactor) }))
+    .filter(o => o.cost != null)
+    .sort((a,b) => a.cost - b.cost);
+  const chosen = options.find(o => modelKey(o.m) === state.usageCompare) || options[0];
+  const alternative = chosen ? chosen.m : null;
+  const select = document.getElementById('usageCompare');
+  if(select){
+    select.innerHTML = options.map(({ m, cost }) => `<option value="${escapeHtml(modelKey(m))}">${escapeHtml(`${m.provider} · ${m.model_name} (${fmtCost(cost)})`)}</option>`).join('');
+    if(alternative) select.value = modelKey(alternative);
+  }
+  const altName = alternative ? alternative.model_name : 'Alternative';
+  panel.querySelectorAll('.usage-alt-label').forEach(th => { th.textContent = `On ${altName}`; });
+
+  const { total, days, models } = usageSummary(state, alternative);
+  const fileEl = document.getElementById('usageFile');
+  if(fileEl) fileEl.textContent = log.name;
+  const dated = days.filter(d => d.date !== 'undated');
+  const range = dated.length ? ` over ${dated.length} day${dated.length === 1 ? '' : 's'} (${dated[0].date}${dated.length > 1 ? ` – ${dated[dated.length - 1].date}` : ''})` : '';
+  const tokens = [
+    `${fmtCompact(total.input)} input`,
+    total.cached && `${fmtCompact(total.cached)} cached`,
+    total.cacheWrite && `${fmtCompact(total.cacheWrite)} cache-write`,
+    `${fmtCompact(total.output)} output`,
+  ].filter(Boolean).join(', ');
+  const unmatched = models.filter(u => !u.model).map(u => u.name);
+  const summaryEl = document.getElementById('usageSummary');
+  if(summaryEl){
+    summaryEl.innerHTML = `${total.requests ? `${fmtRequests(total.requests)} requests, ` : ''}${tokens} tokens${range}.
+      Cost on the models used: <strong>${fmtCost(total.actual)}</strong>${alternative ? `; on ${escapeHtml(altName)} it would have cost <strong>${fmtCost(total.alternative)}</strong> ${fmtDelta(total.alternative, total.actual)}` : ''}.
+      ${unmatched.length ? `<span class="muted">Not in the price data, so left out of the actual cost: ${escapeHtml(unmatched.join(', '))}.</span>` : ''}
+      ${log.skipped ? `<span class="muted">${log.skipped} row${log.skipped === 1 ? '' : 's'} without a model or token counts skipped.</span>` : ''}`;
+  }
+
+  const byModel = panel.querySelector('#usageByModel tbody');
+  if(byModel){
+    const row = (u, name, pricedAs, cls) => `<tr${cls ? ` class="${cls}"` : ''}>
+      <td>${name}</td>
+      <td>${pricedAs}</td>
+      <td>${fmtRequests(u.requests)}</td>
+      <td>${fmtCompact(u.input)}</td>
+      <td>${fmtCompact(u.cached)}</td>
+      <td>${fmtCompact(u.cacheWrite)}</td>
+      <td>${fmtCompact(u.output)}</td>
+      <td class="cost">${fmtCost(u.actual)}</td>
+      <td class="cost">${fmtCost(u.alternative)}</td>
+    </tr>`;
+    byModel.innerHTML = models.map(u => row(u, escapeHtml(u.name), u.model ? escapeHtml(`${u.model.provider} · ${u.model.model_name}`) : '<span class="muted">not found</span>')).join('')
+      + (models.length > 1 ? row(total, 'Total', '', 'usage-total') : '');
+  }
+  const byDay = panel.querySelector('#usageByDay tbody');
+  if(byDay){
+    const row = (d, label, cls) => `<tr${cls ? ` class="${cls}"` : ''}>
+      <td>${label}</td>
+      <td>${fmtRequests(d.requests)}</td>
+      <td>${fmtCompact(d.input + d.cached + d.cacheWrite + d.output)}</td>
+      <td class="cost">${fmtCost(d.actual)}</td>
+      <td class="cost">${fmtCost(d.alternative)}</td>
+      <td class="cost">${fmtDelta(d.alternative, d.actual)}</td>
+    </tr>`;
+    byDay.innerHTML = days.map(d => row(d, d.date)).join('') + (days.length > 1 ? row(total, 'Total', 'usage-total') : '');
+  }
+}
+
+// Parses a dropped or picked usage export locally and prices it on every model
+async function importUsageLog(state, file){
+  try {
+    const log = parseUsageLog(await file.text());
+    if(!log.entries.length) throw new Error('no rows with a model and token counts');
+    state.usageLog = { name: file.name, ...log };
+    state.usageCompare = null;
+    applyFilterSort(state);
+    showToast(`Imported ${file.name}`);
+  } catch(err){
+    showToast(`Could not import ${file.name}: ${err.message}`, true);
+  }
+}
+
+function setupUsageLog(state){
+  const btn = document.getElementById('usage-btn');
+  const input = document.getElementById('usageFileInput');
+  if(btn && input){
+    btn.addEventListener('click', () => input.click());
+    input.addEventListener('change', () => {
+      if(input.files[0]) importUsageLog(state, input.files[0]);
+      input.value = '';
+    });
+  }
+  // A file dropped anywhere on the page is imported as a usage log
+  const hasFiles = e => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+  document.addEventListener('dragover', (e) => {
+    if(!hasFiles(e)) return;
+    e.preventDefault();
+    document.body.classList.add('usage-drop');
+  });
+  document.addEventListener('dragleave', (e) => {
+    if(!e.relatedTarget) document.body.classList.remove('usage-drop');
+  });
+  document.addEventListener('drop', (e) => {
+    if(!hasFiles(e)) return;
+    e.preventDefault();
+    document.body.classList.remove('usage-drop');
+    if(e.dataTransfer.files[0]) importUsageLog(state, e.dataTransfer.files[0]);
+  });
+  const select = document.getElementById('usageCompare');
+  if(select){
+    select.addEventListener('change', () => {
+      state.usageCompare = select.value;
+      renderUsagePanel(state);
+    });
+  }
+  const clearBtn = document.getElementById('clear-usage-btn');
+  if(clearBtn){
+    clearBtn.addEventListener('click', () => {
+      state.usageLog = null;
+      state.usageCompare = null;
+      applyFilterSort(state);
+    });
+  }
+}
+
+const fmtCount = n => Intl.NumberFormat().format(n);
+
+// Token estimates for the pasted text per tokenizer family, with the cheapest
+// row of each family priced at that family's counts
+function renderTokenEstimate(state, rows){
+  const panel = document.getElementById('token-estimator');
+  const tbody = document.querySelector('#estimateTable tbody');
+  const promptEl = document.getElementById('estimatePrompt');
+  const outputEl = document.getElementById('estimateOutput');
+  if(!panel || !panel.open || !tbody || !promptEl || !outputEl) return;
+  const hasText = !!(promptEl.value || outputEl.value);
+  const applyBtn = document.getElementById('estimate-apply-btn');
+  if(applyBtn) applyBtn.disabled = !hasText;
+  if(!hasText){
+    tbody.innerHTML = '<tr><td colspan="6" class="muted">Paste or load text above to compare tokenizers.</td></tr>';
+    return;
+  }
+  rows = rows || filterSortRows(state).rows;
+  const prompt = estimateTokensByFamily(promptEl.value);
+  const output = estimateTokensByFamily(outputEl.value);
+  const baseline = prompt[DEFAULT_TOKENIZER] + output[DEFAULT_TOKENIZER];
+  const useBatch = state.useBatch || false;
+  tbody.innerHTML = Object.entries(TOKENIZER_FAMILIES).map(([key, { label }]) => {
+    const tokens = { ...state.globalTokens, in: prompt[key], out: output[key] };
+    let cheapest = null, cheapestCost = null;
+    for(const m of rows){
+      if(tokenizerFamily(m) !== key) continue;
+      const cost = calcCostWithCached(tokens, m, useBatch, state.cacheFactor);
+      if(cost != null && (cheapestCost == null || cost < cheapestCost)){
+        cheapest = m;
+        cheapestCost = cost;
       }
-      if(key === 'monthly'){
-        return getMonthlyCost(a) - getMonthlyCost(b);
+    }
+    const ratio = baseline ? (prompt[key] + output[key]) / baseline - 1 : 0;
+    const vs = key === DEFAULT_TOKENIZER ? '—' : `${ratio > 0 ? '+' : (ratio < 0 ? '−' : '')}${Math.abs(ratio * 100).toFixed(0)}%`;
+    return `<tr data-family="${key}"${key === state.estimateFamily ? ' class="selected"' : ''}>
+      <td>${escapeHtml(label)}</td>
+      <td>${fmtCount(prompt[key])}</td>
+      <td>${fmtCount(output[key])}</td>
+      <td>${vs}</td>
+      <td>${cheapest ? escapeHtml(`${cheapest.provider} · ${cheapest.model_name}`) : '<span class="muted">none in the table</span>'}</td>
+      <td class="cost">${fmtMoney(cheapestCost, () => ({ maximumSignificantDigits: 3 }))}</td>
+    </tr>`;
+  }).join('');
+}
+
+function setupTokenEstimator(state){
+  const panel = document.getElementById('token-estimator');
+  const promptEl = document.getElementById('estimatePrompt');
+  const outputEl = document.getElementById('estimateOutput');
+  const familyEl = document.getElementById('estimateFamily');
+  if(!panel || !promptEl || !outputEl || !familyEl) return;
+  familyEl.innerHTML = Object.entries(TOKENIZER_FAMILIES).map(([key, { label }]) => `<option value="${key}">${escapeHtml(label)}</option>`).join('');
+  familyEl.value = state.estimateFamily;
+  const render = () => renderTokenEstimate(state);
+  panel.addEventListener('toggle', render);
+  promptEl.addEventListener('input', render);
+  outputEl.addEventListener('input', render);
+  familyEl.addEventListener('change', () => {
+    state.estimateFamily = familyEl.value;
+    render();
+  });
+  // Clicking a tokenizer row picks it for "Use as input / output tokens"
+  const tbody = document.querySelector('#estimateTable tbody');
+  if(tbody){
+    tbody.addEventListener('click', (e) => {
+      const tr = e.target.closest('tr[data-family]');
+      if(!tr) return;
+      familyEl.value = state.estimateFamily = tr.dataset.family;
+      render();
+    });
+  }
+  const fileBtn = document.getElementById('estimate-file-btn');
+  const fileInput = document.getElementById('estimateFile');
+  if(fileBtn && fileInput){
+    fileBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if(!file) return;
+      try {
+        promptEl.value = await file.text();
+        render();
+      } catch(err){
+        showToast(`Could not read ${file.name}: ${err.message}`, true);
       }
-      if(key === 'input'){
-        const aVal = useBatch ? (a.batch_input != null ? a.batch_input : a.input) : a.input;
-        const bVal = useBatch ? (b.batch_input != null ? b.batch_input : b.input) : b.input;
-        if(aVal == null && bVal == null) return 0;
-        if(aVal == null) return 1;
-        if(bVal == null) return -1;
-        return aVal - bVal;
+    });
+  }
+  const applyBtn = document.getElementById('estimate-apply-btn');
+  if(applyBtn){
+    applyBtn.addEventListener('click', () => {
+      const inputTokensEl = document.getElementById('inputTokens');
+      const outputTokensEl = document.getElementById('outputTokens');
+      if(promptEl.value && inputTokensEl) inputTokensEl.value = estimateTokens(promptEl.value, state.estimateFamily);
+      if(outputEl.value && outputTokensEl) outputTokensEl.value = estimateTokens(outputEl.value, state.estimateFamily);
+      inputTokensEl?.dispatchEvent(new Event('input'));
+      showToast(`Token counts set from the ${TOKENIZER_FAMILIES[state.estimateFamily].label} estimate`);
+    });
+  }
+}
+
+const OVERRIDES_KEY = 'llm-prices-overrides';
+
+// Uploaded pricing files and discounts, kept in localStorage next to (not in)
+// the calculator state so they are never written into shared links
+function loadOverrides(){
+  try {
+    const saved = JSON.parse(localStorage.getItem(OVERRIDES_KEY) || '{}') || {};
+    return {
+      discounts: (Array.isArray(saved.discounts) ? saved.discounts : []).map(sanitizeDiscount).filter(Boolean),
+      files: (Array.isArray(saved.files) ? saved.files : []).filter(f => f && typeof f.name === 'string' && Array.isArray(f.records)),
+    };
+  } catch(e){
+    console.warn('Failed to load custom pricing:', e);
+    return { discounts: [], files: [] };
+  }
+}
+
+function saveOverrides(state){
+  try {
+    localStorage.setItem(OVERRIDES_KEY, JSON.stringify(state.overrides));
+  } catch(e){
+    // Large files can exceed the storage quota; they still apply until reload
+    showToast(`Custom pricing could not be saved: ${e.message}`, true);
+  }
+}
+
+// Extra pricing files named by ?data= URLs; ones that fail to load are
+// reported and listed with their error so they can be removed
+async function fetchCustomSources(urls){
+  const results = await Promise.allSettled(urls.map(fetchJsonAny));
+  return results.map((r, i) => {
+    try {
+      if(r.status === 'rejected') throw r.reason;
+      return { name: urls[i], records: pricingRecords(r.value), custom: true };
+    } catch(err){
+      console.warn('Custom pricing:', err.message);
+      showToast(`Could not load ${urls[i]}: ${err.message}`, true);
+      return { name: urls[i], records: [], custom: true, error: err.message };
+    }
+  });
+}
+
+// Public files, then ?data= files, then uploaded files, with discounts on top
+function rebuildData(state){
+  const uploads = state.overrides.files.map(f => ({ name: f.name, records: f.records, custom: true }));
+  state.data = mergePricingData([...state.dataSources, ...uploads], state.overrides.discounts, state.exchangeRates);
+}
+
+// Re-merges the data after a custom pricing change and redraws everything
+// built from the model list
+function refreshData(state){
+  rebuildData(state);
+  renderDataStatus(document.getElementById('dataStatus'), state.data.length, state.data.flatMap(m => m.warnings));
+  renderPriceChanges(state.data);
+  renderProviderChips(state);
+  renderRegionOptions(state);
+  renderWorkflowSteps(state);
+  renderCustomPricing(state);
+  applyFilterSort(state);
+}
+
+function overrideBadgeHtml({ source, discount }){
+  const label = [source && 'custom', discount != null && fmtDiscount(discount)].filter(Boolean).join(' ');
+  const title = [source && `Price from ${source}`, discount != null && `Discount override ${fmtDiscount(discount)}`].filter(Boolean).join('; ');
+  return `<span class="override-badge" data-label="${escapeHtml(label)}" title="${escapeHtml(title)}"></span>`;
+}
+
+function renderCustomPricing(state){
+  const panel = document.getElementById('custom-pricing-panel');
+  if(!panel) return;
+  const btn = document.getElementById('custom-pricing-btn');
+  const count = state.overrides.discounts.length + state.overrides.files.length + state.dataUrls.length;
+  if(btn) btn.dataset.count = count || '';
+
+  const sources = panel.querySelector('#customSources tbody');
+  if(sources){
+    const urlSources = state.dataSources.filter(s => s.custom);
+    const row = (s, from, attr) => `<tr>
+      <td>${escapeHtml(s.name)}</td>
+      <td>${s.records.length}</td>
+      <td>${from}</td>
+      <td><button ${attr} title="Stop using this file">✕</button></td>
+    </tr>`;
+    sources.innerHTML = [
+      ...urlSources.map(s => row(s, `<code>?data=</code> link${s.error ? ` <span class="muted">(failed: ${escapeHtml(s.error)})</span>` : ''}`, `data-remove-url="${escapeHtml(s.name)}"`)),
+      ...state.overrides.files.map((f, i) => row(f, 'uploaded', `data-remove-file="${i}"`)),
+    ].join('') || '<tr><td colspan="4" class="muted">No custom pricing files</td></tr>';
+  }
+
+  const providerEl = document.getElementById('discountProvider');
+  const modelEl = document.getElementById('discountModel');
+  if(providerEl && modelEl){
+    const providers = [...new Set(state.data.map(m => m.provider))].sort((a,b) => a.localeCompare(b));
+    const selected = providers.includes(providerEl.value) ? providerEl.value : providers[0];
+    providerEl.innerHTML = providers.map(p => `<option value="${escapeHtml(p)}">${escapeHtml(p)}</option>`).join('');
+    providerEl.value = selected || '';
+    const models = state.data.filter(m => m.provider === selected).sort((a,b) => a.model_name.localeCompare(b.model_name));
+    const model = modelEl.value;
+    modelEl.innerHTML = `<option value="">All models</option>` + models.map(m => `<option value="${escapeHtml(m.model_id)}">${escapeHtml(m.model_name)}</option>`).join('');
+    modelEl.value = models.some(m => m.model_id === model) ? model : '';
+  }
+
+  const discounts = panel.querySelector('#discountTable tbody');
+  if(discounts){
+    discounts.innerHTML = state.overrides.discounts.map((d, i) => {
+      const model = d.model_id && state.data.find(m => m.provider.toLowerCase() === d.provider.toLowerCase() && m.model_id.toLowerCase() === d.model_id.toLowerCase());
+      return `<tr>
+        <td>${escapeHtml(d.provider)}</td>
+        <td>${d.model_id ? escapeHtml(model ? model.model_name : d.model_id) : '<span class="muted">All models</span>'}</td>
+        <td class="cost">${fmtDiscount(d.percent)}</td>
+        <td><button data-remove-discount="${i}" title="Remove discount">✕</button></td>
+      </tr>`;
+    }).join('') || '<tr><td colspan="4" class="muted">No discounts</td></tr>';
+  }
+}
+
+// Reads an uploaded pricing file; records replace public ones with the same
+// provider and model_id, and the file is kept until it is removed
+async function importPricingFile(state, file){
+  try {
+    let json;
+    try { json = JSON.parse(await file.text()); } catch(e){ throw new Error('invalid JSON'); }
+    const records = pricingRecords(json);
+    state.overrides.files = [...state.overrides.files.filter(f => f.name !== file.name), { name: file.name, records }];
+    refreshData(state);
+    saveOverrides(state);
+    showToast(`Loaded ${records.length} model${records.length === 1 ? '' : 's'} from ${file.name}`);
+  } catch(err){
+    showToast(`Could not load ${file.name}: ${err.message}`, true);
+  }
+}
+
+function setupCustomPricing(state){
+  const panel = document.getElementById('custom-pricing-panel');
+  if(!panel) return;
+  const btn = document.getElementById('custom-pricing-btn');
+  if(btn){
+    btn.addEventListener('click', () => {
+      panel.hidden = !panel.hidden;
+      btn.setAttribute('aria-pressed', !panel.hidden);
+    });
+  }
+  const fileBtn = document.getElementById('custom-file-btn');
+  const fileInput = document.getElementById('customFileInput');
+  if(fileBtn && fileInput){
+    fileBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      if(fileInput.files[0]) importPricingFile(state, fileInput.files[0]);
+      fileInput.value = '';
+    });
+  }
+  const providerEl = document.getElementById('discountProvider');
+  if(providerEl) providerEl.addEventListener('change', () => renderCustomPricing(state));
+  const form = document.getElementById('discountForm');
+  if(form){
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const discount = sanitizeDiscount({
+        provider: form.elements.discountProvider.value,
+        model_id: form.elements.discountModel.value,
+        percent: form.elements.discountPercent.value,
+      });
+      if(!discount){
+        showToast('Enter a discount of up to 100% (negative for a markup)', true);
+        return;
       }
-      if(key === 'output'){
-        const aVal = useBatch ? (a.batch_output != null ? a.batch_output : a.output) : a.output;
-        const bVal = useBatch ? (b.batch_output != null ? b.batch_output : b.output) : b.output;
-        if(aVal == null && bVal == null) return 0;
-        if(aVal == null) return 1;
-        if(bVal == null) return -1;
-        return aVal - bVal;
+      // One discount per provider or model: a new one replaces the old
+      const same = d => d.provider.toLowerCase() === discount.provider.toLowerCase() && (d.model_id || '').toLowerCase() === (discount.model_id || '').toLowerCase();
+      state.overrides.discounts = [...state.overrides.discounts.filter(d => !same(d)), discount];
+      form.elements.discountPercent.value = '';
+      refreshData(state);
+      saveOverrides(state);
+    });
+  }
+  panel.addEventListener('click', (e) => {
+    const target = e.target.closest('button');
+    if(!target) return;
+    if(target.dataset.removeDiscount != null){
+      state.overrides.discounts = state.overrides.discounts.filter((_, i) => i !== Number(target.dataset.removeDiscount));
+      saveOverrides(state);
+    } else if(target.dataset.removeFile != null){
+      state.overrides.files = state.overrides.files.filter((_, i) => i !== Number(target.dataset.removeFile));
+      saveOverrides(state);
+    } else if(target.dataset.removeUrl != null){
+      const url = target.dataset.removeUrl;
+      state.dataUrls = state.dataUrls.filter(u => u !== url);
+      state.dataSources = state.dataSources.filter(s => !(s.custom && s.name === url));
+      updateURL(state);
+    } else {
+      return;
+    }
+    refreshData(state);
+  });
+  renderCustomPricing(state);
+}
+
+function togglePinned(state, key){
+  const pinned = state.pinned || [];
+  state.pinned = pinned.includes(key) ? pinned.filter(k => k !== key) : [...pinned, key];
+  if(!state.pinned.includes(state.baseline)) state.baseline = state.pinned[0] || null;
+  applyFilterSort(state);
+  updateURL(state);
+  saveState(state);
+}
+
+function setupCompare(state){
+  const tbody = document.getElementById('tableBody');
+  if(tbody){
+    tbody.addEventListener('click', (e) => {
+      const btn = e.target.closest('.pin-btn');
+      if(!btn) return;
+      togglePinned(state, btn.closest('tr').dataset.key);
+    });
+  }
+  const compareBody = document.getElementById('compareBody');
+  if(compareBody){
+    compareBody.addEventListener('click', (e) => {
+      const tr = e.target.closest('tr');
+      if(!tr) return;
+      if(e.target.closest('.unpin-btn')){
+        togglePinned(state, tr.dataset.key);
+      } else if(e.target.closest('.baseline-radio')){
+        state.baseline = tr.dataset.key;
+        renderComparePanel(state);
+        updateURL(state);
+        saveState(state);
       }
-      const av = a[key];
-      const bv = b[key];
-      if(av == null && bv == null) return 0;
-      if(av == null) return 1;
-      if(bv == null) return -1;
-      if(typeof av === 'number' && typeof bv === 'number') return av - bv;
-      return String(av).localeCompare(String(bv));
-    };
-    rows = rows.slice().sort((a,b) => dir==='asc' ? cmp(a,b) : -cmp(a,b));
+    });
   }
+  const clearBtn = document.getElementById('clear-pins-btn');
+  if(clearBtn){
+    clearBtn.addEventListener('click', () => {
+      state.pinned = [];
+      state.baseline = null;
+      applyFilterSort(state);
+      updateURL(state);
+      saveState(state);
+    });
+  }
+}
 
-  // Apply top N filter
-  if(state.topN && state.topN !== 'all'){
-    const n = parseInt(state.topN);
-    // Sort by cost first
-    const tokens = state.globalTokens || {in:0, cached:0, out:0};
-    const useBatch = state.useBatch || false;
-    const getCost = (m) => calcCostWithCached(tokens, m, useBatch, state.cacheFactor) ?? Number.POSITIVE_INFINITY;
-    rows = rows.slice().sort((a,b) => getCost(a) - getCost(b)).slice(0, n);
+function setupSort(state){
+  const thead = document.querySelector('#priceTable thead');
+  thead.addEventListener('click', (e) => {
+    const th = e.target.closest('th');
+    if(!th) return;
+    const key = th.getAttribute('data-sort');
+    if(!key) return;
+    if(state.sort.key === key){
+      state.sort.dir = state.sort.dir === 'asc' ? 'desc' : 'asc';
+    } else {
+      state.sort.key = key;
+      state.sort.dir = key === 'provider' || key === 'model_name' ? 'asc' : 'asc';
+    }
+    applyFilterSort(state);
+    updateURL(state);
+  });
+}
+
+// Provider names in links are matched case-insensitively (?prov=openai)
+function isProviderSelected(state, provider){
+  return state.providers.some(p => p.toLowerCase() === provider.toLowerCase());
+}
+
+function setupGrouping(state){
+  const toggle = document.getElementById('groupByModel');
+  if(toggle){
+    toggle.checked = !!state.groupByModel;
+    toggle.addEventListener('change', () => {
+      state.groupByModel = toggle.checked;
+      applyFilterSort(state);
+      updateURL(state);
+      saveState(state);
+    });
   }
+  const tbody = document.getElementById('tableBody');
+  if(!tbody) return;
+  tbody.addEventListener('click', (e) => {
+    const row = e.target.closest('tr.group-row');
+    if(!row) return;
+    const id = row.dataset.group;
+    const expanded = !(state.expandedGroups || []).includes(id);
+    state.expandedGroups = expanded ? [...(state.expandedGroups || []), id] : state.expandedGroups.filter(g => g !== id);
+    tbody.querySelectorAll('tr.group-member').forEach(tr => {
+      if(tr.dataset.group === id) tr.hidden = !expanded;
+    });
+    const btn = row.querySelector('.group-toggle');
+    btn.textContent = expanded ? '▾' : '▸';
+    btn.setAttribute('aria-expanded', expanded);
+  });
+}
 
-  renderRows(rows);
+// One toggle chip per provider; no chips selected means every provider is shown
+function renderProviderChips(state){
+  const container = document.getElementById('providerFilter');
+  if(!container) return;
+  const providers = [...new Set(state.data.map(m => m.provider))].sort((a,b) => a.localeCompare(b));
+  container.innerHTML = providers.map(p => `<button type="button" class="provider-chip" data-provider="${escapeHtml(p)}">${escapeHtml(p)}</button>`).join('');
+  container.querySelectorAll('.provider-chip').forEach(btn => {
+    btn.classList.toggle('active', isProviderSelected(state, btn.dataset.provider));
+  });
 }
 
-function setupSort(state){
-  const thead = document.querySelector('#priceTable thead');
-  thead.addEventListener('click', (e) => {
-    const th = e.target.closest('th');
-    if(!th) return;
-    const key = th.getAttribute('data-sort');
-    if(!key) return;
-    if(state.sort.key === key){
-      state.sort.dir = state.sort.dir === 'asc' ? 'desc' : 'asc';
-    } else {
-      state.sort.key = key;
-      state.sort.dir = key === 'provider' || key === 'model_name' ? 'asc' : 'asc';
-    }
+function setupProviderFilter(state){
+  const container = document.getElementById('providerFilter');
+  if(!container) return;
+  container.addEventListener('click', (e) => {
+    const btn = e.target.closest('.provider-chip');
+    if(!btn) return;
+    const provider = btn.dataset.provider;
+    state.providers = isProviderSelected(state, provider)
+      ? state.providers.filter(p => p.toLowerCase() !== provider.toLowerCase())
+      : [...state.providers, provider];
+    renderProviderChips(state);
     applyFilterSort(state);
+    updateURL(state);
   });
+  renderProviderChips(state);
+}
+
+function applyBudgetMode(state){
+  document.body.classList.toggle('budget-mode', !!state.budget && state.budget.amount > 0);
+}
+
+function setupBudget(state){
+  const amount = document.getElementById('budgetAmount');
+  const solve = document.getElementById('budgetSolve');
+  if(!amount || !solve) return;
+  amount.value = state.budget.amount || '';
+  solve.value = state.budget.solve;
+  const update = () => {
+    state.budget = { amount: Math.max(0, parseFloat(amount.value) || 0), solve: solve.value };
+    applyBudgetMode(state);
+    applyFilterSort(state);
+    updateURL(state);
+    saveState(state);
+  };
+  amount.addEventListener('input', update);
+  solve.addEventListener('change', update);
+  applyBudgetMode(state);
+}
+
+// Capability chips and the minimum context picker sit next to the search box;
+// the capability columns are optional to keep the table narrow
+function setupCapabilityFilter(state){
+  const container = document.getElementById('capabilityFilter');
+  if(container){
+    container.innerHTML = CAPABILITIES.map(({ key, label, title }) => `<button type="button" class="provider-chip capability-chip" data-capability="${key}" title="${title}">${label}</button>`).join('');
+    const render = () => {
+      container.querySelectorAll('.capability-chip').forEach(btn => {
+        btn.classList.toggle('active', state.capabilityFilter.includes(btn.dataset.capability));
+      });
+    };
+    container.addEventListener('click', (e) => {
+      const btn = e.target.closest('.capability-chip');
+      if(!btn) return;
+      const key = btn.dataset.capability;
+      state.capabilityFilter = state.capabilityFilter.includes(key)
+        ? state.capabilityFilter.filter(k => k !== key)
+        : [...state.capabilityFilter, key];
+      render();
+      applyFilterSort(state);
+      updateURL(state);
+    });
+    render();
+  }
+  const minContext = document.getElementById('minContextFilter');
+  if(minContext){
+    // Links may carry a threshold that is not one of the presets
+    const options = [...new Set([...MIN_CONTEXT_OPTIONS, state.minContext].filter(Boolean))].sort((a,b) => a - b);
+    minContext.innerHTML = '<option value="0">Any context</option>' +
+      options.map(n => `<option value="${n}">≥ ${n >= 1e6 ? `${n / 1e6}M` : `${n / 1000}K`} context</option>`).join('');
+    minContext.value = String(state.minContext || 0);
+    minContext.addEventListener('change', () => {
+      state.minContext = parseInt(minContext.value) || 0;
+      applyFilterSort(state);
+      updateURL(state);
+    });
+  }
+  const toggle = document.getElementById('showCapabilities');
+  if(toggle){
+    toggle.checked = !!state.showCapabilities;
+    document.body.classList.toggle('show-capabilities', !!state.showCapabilities);
+    toggle.addEventListener('change', () => {
+      state.showCapabilities = toggle.checked;
+      document.body.classList.toggle('show-capabilities', toggle.checked);
+      updateURL(state);
+      saveState(state);
+    });
+  }
 }
 
 const PRESETS = {
@@ -279,8 +1443,7 @@ function loadPreset(presetName, state){
   const preset = PRESETS[presetName];
   if(!preset) {
     // Try custom preset from localStorage
-    const customPresets = getCustomPresets();
-    const custom = customPresets[presetName];
+    const custom = getCustomPresets().find(p => p.id === presetName);
     if(!custom) return;
     applyPreset(custom, state);
     return;
@@ -291,6 +1454,7 @@ function loadPreset(presetName, state){
 function applyPreset(preset, state){
   const inputTokensEl = document.getElementById('inputTokens');
   const cachedTokensEl = document.getElementById('cachedTokens');
+  const cacheWriteTokensEl = document.getElementById('cacheWriteTokens');
   const outputTokensEl = document.getElementById('outputTokens');
   const rateValueEl = document.getElementById('rateValue');
   const pricingTypeBatchEl = document.getElementById('pricingTypeBatch');
@@ -298,8 +1462,13 @@ function applyPreset(preset, state){
 
   if(inputTokensEl) inputTokensEl.value = preset.in;
   if(cachedTokensEl) cachedTokensEl.value = preset.cached;
+  if(cacheWriteTokensEl) cacheWriteTokensEl.value = preset.cacheWrite || 0;
   if(outputTokensEl) outputTokensEl.value = preset.out;
   if(rateValueEl) rateValueEl.value = preset.rpd;
+  for(const { key } of USAGE_INPUTS){
+    const el = document.getElementById(key);
+    if(el) el.value = preset[key] || 0;
+  }
 
   if(preset.batch && pricingTypeBatchEl) {
     pricingTypeBatchEl.checked = true;
@@ -309,56 +1478,253 @@ function applyPreset(preset, state){
 
   // Trigger updates
   inputTokensEl?.dispatchEvent(new Event('input'));
+  rateValueEl?.dispatchEvent(new Event('input'));
   pricingTypeBatchEl?.dispatchEvent(new Event('change'));
   pricingTypeStdEl?.dispatchEvent(new Event('change'));
 
   showToast(`Loaded preset: ${preset.name}`);
 }
 
-function saveCustomPreset(state){
-  const name = prompt('Enter a name for this preset:');
-  if(!name) return;
+const CUSTOM_PRESETS_KEY = 'llm-prices-custom-presets';
+
+// Editable numeric fields of a custom preset (usage units are kept but not edited here)
+const CUSTOM_PRESET_FIELDS = [
+  { key: 'in', label: 'Input' },
+  { key: 'cached', label: 'Cached' },
+  { key: 'cacheWrite', label: 'Cache write' },
+  { key: 'out', label: 'Output' },
+  { key: 'rpd', label: 'Req/day' },
+];
+
+function escapeHtml(text){
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function newPresetId(){
+  return `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
 
+function presetFromState(state, name){
   const preset = {
-    name: name,
+    id: newPresetId(),
+    name,
     in: state.globalTokens.in,
     cached: state.globalTokens.cached,
+    cacheWrite: state.globalTokens.cacheWrite,
     out: state.globalTokens.out,
     rpd: state.rateValue,
     batch: state.useBatch,
   };
+  for(const { key } of USAGE_INPUTS) preset[key] = state.globalTokens[key] || 0;
+  return preset;
+}
 
-  const customPresets = getCustomPresets();
-  customPresets['custom1'] = preset;
-  localStorage.setItem('llm-prices-custom-presets', JSON.stringify(customPresets));
+// Coerce an imported or stored preset into a known shape; null if it has no name
+function sanitizePreset(raw, fallbackId){
+  if(!raw || typeof raw !== 'object' || typeof raw.name !== 'string' || !raw.name.trim()) return null;
+  const preset = { id: typeof raw.id === 'string' && raw.id ? raw.id : (fallbackId || newPresetId()), name: raw.name.trim(), batch: !!raw.batch };
+  for(const { key } of CUSTOM_PRESET_FIELDS) preset[key] = Math.max(0, Number(raw[key]) || 0);
+  for(const { key } of USAGE_INPUTS) preset[key] = Math.max(0, Number(raw[key]) || 0);
+  return preset;
+}
 
-  // Show the custom preset button
-  const btn = document.getElementById('custom-preset-1');
-  if(btn){
-    btn.textContent = preset.name;
-    btn.style.display = 'inline-block';
+// Custom presets are an ordered array; older versions stored { custom1: {...} }
+function getCustomPresets(){
+  try {
+    const saved = JSON.parse(localStorage.getItem(CUSTOM_PRESETS_KEY) || '[]');
+    const entries = Array.isArray(saved) ? saved.map((p, i) => [`preset${i}`, p]) : Object.entries(saved || {});
+    return entries.map(([id, p]) => sanitizePreset(p, id)).filter(Boolean);
+  } catch(e){
+    return [];
   }
-
-  showToast(`Saved custom preset: ${name}`);
 }
 
-function getCustomPresets(){
+function setCustomPresets(presets){
   try {
-    const saved = localStorage.getItem('llm-prices-custom-presets');
-    return saved ? JSON.parse(saved) : {};
+    localStorage.setItem(CUSTOM_PRESETS_KEY, JSON.stringify(presets));
   } catch(e){
-    return {};
+    console.warn('Failed to save presets:', e);
   }
+  loadCustomPresets();
 }
 
+// Render one button per custom preset after the built-in ones
 function loadCustomPresets(){
+  const container = document.getElementById('customPresets');
+  if(!container) return;
+  container.innerHTML = getCustomPresets().map(p =>
+    `<button class="preset-btn" data-preset="${escapeHtml(p.id)}">${escapeHtml(p.name)}</button>`
+  ).join('');
+}
+
+function saveCustomPreset(state){
+  const presets = getCustomPresets();
+  const preset = presetFromState(state, `Custom ${presets.length + 1}`);
+  setCustomPresets([...presets, preset]);
+  showPresetManager(state, preset.id);
+}
+
+function exportCustomPresets(){
+  const presets = getCustomPresets();
+  if(!presets.length){
+    showToast('No custom presets to export', true);
+    return;
+  }
+  const blob = new Blob([JSON.stringify({ version: 1, presets }, null, 2)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = 'llm-prices-presets.json';
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+// Accepts { presets: [...] } or a bare array; presets with an existing name replace it
+function importCustomPresets(text){
+  const parsed = JSON.parse(text);
+  const incoming = (Array.isArray(parsed) ? parsed : parsed && parsed.presets);
+  if(!Array.isArray(incoming)) throw new Error('expected a "presets" array');
+  const valid = incoming.map(p => sanitizePreset(p)).filter(Boolean);
   const presets = getCustomPresets();
-  if(presets.custom1){
-    const btn = document.getElementById('custom-preset-1');
-    if(btn){
-      btn.textContent = presets.custom1.name;
-      btn.style.display = 'inline-block';
+  for(const preset of valid){
+    const i = presets.findIndex(p => p.name === preset.name);
+    if(i >= 0) presets[i] = { ...preset, id: presets[i].id };
+    else presets.push({ ...preset, id: presets.some(p => p.id === preset.id) ? newPresetId() : preset.id });
+  }
+  setCustomPresets(presets);
+  return { imported: valid.length, skipped: incoming.length - valid.length };
+}
+
+function showPresetManager(state, focusId){
+  const existing = document.getElementById('preset-manager-modal');
+  if(existing) existing.remove();
+  document.getElementById('preset-manager-overlay')?.remove();
+
+  const modal = document.createElement('div');
+  modal.id = 'preset-manager-modal';
+  modal.style.cssText = `
+    position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%);
+    background: var(--panel); border: 1px solid var(--border); border-radius: 12px;
+    padding: 24px; max-width: 820px; width: calc(100% - 32px); max-height: calc(100% - 32px); overflow: auto;
+    z-index: 1000; box-shadow: 0 8px 32px rgba(0,0,0,0.5);
+  `;
+
+  const render = () => {
+    const presets = getCustomPresets();
+    const rows = presets.map((p, i) => `
+      <tr data-id="${escapeHtml(p.id)}">
+        <td><input class="preset-name" data-field="name" type="text" value="${escapeHtml(p.name)}" /></td>
+        ${CUSTOM_PRESET_FIELDS.map(({ key }) => `<td><input data-field="${key}" type="number" min="0" value="${p[key]}" /></td>`).join('')}
+        <td><input data-field="batch" type="checkbox" ${p.batch ? 'checked' : ''} /></td>
+        <td class="preset-actions">
+          <button data-action="up" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+          <button data-action="down" title="Move down" ${i === presets.length - 1 ? 'disabled' : ''}>↓</button>
+          <button data-action="capture" title="Replace with the current calculator inputs">⟳</button>
+          <button data-action="delete" title="Delete preset">🗑</button>
+        </td>
+      </tr>`).join('');
+    modal.innerHTML = `
+      <h2 style="margin: 0 0 4px; font-size: 18px; color: var(--text);">Custom presets</h2>
+      <p class="muted" style="margin: 0 0 16px; font-size: 13px;">Edits are saved as you type. ⟳ overwrites a preset with the current calculator inputs.</p>
+      ${presets.length ? `
+      <table class="preset-table" style="width: 100%; font-size: 13px; color: var(--text);">
+        <thead><tr><th>Name</th>${CUSTOM_PRESET_FIELDS.map(f => `<th>${f.label}</th>`).join('')}<th>Batch</th><th></th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>` : '<p class="muted" style="font-size: 13px;">No custom presets yet.</p>'}
+      <div style="margin-top: 16px; display: flex; gap: 8px; flex-wrap: wrap; justify-content: flex-end;">
+        <button data-action="add">＋ Save current inputs</button>
+        <button data-action="export">⬇ Export JSON</button>
+        <button data-action="import">⬆ Import JSON</button>
+        <input id="preset-import-file" type="file" accept="application/json,.json" hidden />
+        <button id="close-presets" style="padding: 6px 12px; background: var(--accent); border: none; color: #000; border-radius: 6px; cursor: pointer; font-weight: 500;">Close</button>
+      </div>
+    `;
+    modal.querySelector('#close-presets').addEventListener('click', closeManager);
+    modal.querySelector('#preset-import-file').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if(!file) return;
+      try {
+        const { imported, skipped } = importCustomPresets(await file.text());
+        showToast(`Imported ${imported} preset${imported === 1 ? '' : 's'}${skipped ? ` (${skipped} skipped)` : ''}`);
+        render();
+      } catch(err){
+        showToast(`Import failed: ${err.message}`, true);
+      }
+    });
+  };
+
+  const update = (id, fn) => {
+    setCustomPresets(getCustomPresets().map(p => p.id === id ? fn(p) : p));
+  };
+
+  modal.addEventListener('change', (e) => {
+    const field = e.target.dataset.field;
+    const id = e.target.closest('tr')?.dataset.id;
+    if(!field || !id) return;
+    if(field === 'name'){
+      if(!e.target.value.trim()) return;
+      update(id, p => ({ ...p, name: e.target.value.trim() }));
+    } else if(field === 'batch'){
+      update(id, p => ({ ...p, batch: e.target.checked }));
+    } else {
+      update(id, p => ({ ...p, [field]: Math.max(0, Number(e.target.value) || 0) }));
+    }
+  });
+
+  modal.addEventListener('click', (e) => {
+    const action = e.target.closest('button')?.dataset.action;
+    if(!action) return;
+    const id = e.target.closest('tr')?.dataset.id;
+    const presets = getCustomPresets();
+    const i = presets.findIndex(p => p.id === id);
+    if(action === 'add'){
+      setCustomPresets([...presets, presetFromState(state, `Custom ${presets.length + 1}`)]);
+    } else if(action === 'export'){
+      exportCustomPresets();
+      return;
+    } else if(action === 'import'){
+      modal.querySelector('#preset-import-file').click();
+      return;
+    } else if(action === 'up' || action === 'down'){
+      const j = action === 'up' ? i - 1 : i + 1;
+      if(i < 0 || j < 0 || j >= presets.length) return;
+      [presets[i], presets[j]] = [presets[j], presets[i]];
+      setCustomPresets(presets);
+    } else if(action === 'capture'){
+      update(id, p => ({ ...presetFromState(state, p.name), id: p.id }));
+      showToast(`Updated preset: ${presets[i].name}`);
+    } else if(action === 'delete'){
+      if(!confirm(`Delete preset "${presets[i].name}"?`)) return;
+      setCustomPresets(presets.filter(p => p.id !== id));
     }
+    render();
+  });
+
+  const overlay = document.createElement('div');
+  overlay.id = 'preset-manager-overlay';
+  overlay.style.cssText = `
+    position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+    background: rgba(0,0,0,0.7); z-index: 999;
+  `;
+
+  document.body.appendChild(overlay);
+  document.body.appendChild(modal);
+  render();
+
+  function closeManager(){
+    modal.remove();
+    overlay.remove();
+    document.removeEventListener('keydown', escHandler);
+  }
+  function escHandler(e){
+    if(e.key === 'Escape') closeManager();
+  }
+
+  overlay.addEventListener('click', closeManager);
+  document.addEventListener('keydown', escHandler);
+  if(focusId){
+    const nameEl = modal.querySelector(`tr[data-id="${focusId}"] .preset-name`);
+    nameEl?.focus();
+    nameEl?.select();
   }
 }
 
@@ -369,12 +1735,12 @@ function setupKeyboardShortcuts(state){
 
     const key = e.key.toLowerCase();
 
-    // 1-5 - Load presets
-    if(key >= '1' && key <= '5'){
+    // 1-9 - Load presets (built-ins first, then custom presets in order)
+    if(key >= '1' && key <= '9'){
       e.preventDefault();
-      const presetKeys = ['chat', 'context', 'agent', 'batch', 'custom1'];
+      const presetKeys = [...Object.keys(PRESETS), ...getCustomPresets().map(p => p.id)];
       const presetName = presetKeys[parseInt(key) - 1];
-      loadPreset(presetName, state);
+      if(presetName) loadPreset(presetName, state);
       return;
     }
 
@@ -399,10 +1765,16 @@ function setupKeyboardShortcuts(state){
       e.preventDefault();
       const inputTokensEl = document.getElementById('inputTokens');
       const cachedTokensEl = document.getElementById('cachedTokens');
+      const cacheWriteTokensEl = document.getElementById('cacheWriteTokens');
       const outputTokensEl = document.getElementById('outputTokens');
       const rateValueEl = document.getElementById('rateValue');
       if(inputTokensEl) inputTokensEl.value = 1000;
       if(cachedTokensEl) cachedTokensEl.value = 0;
+      if(cacheWriteTokensEl) cacheWriteTokensEl.value = 0;
+      for(const { key } of USAGE_INPUTS){
+        const el = document.getElementById(key);
+        if(el) el.value = 0;
+      }
       if(outputTokensEl) outputTokensEl.value = 500;
       if(rateValueEl) rateValueEl.value = 100;
       inputTokensEl?.dispatchEvent(new Event('input'));
@@ -435,18 +1807,37 @@ function setupKeyboardShortcuts(state){
   });
 }
 
+// Header labels and cell indexes of the columns shown in the active view
+function getVisibleColumns(state){
+  const ths = Array.from(document.querySelectorAll('#priceTable thead th'));
+  const embeddings = state && isEmbeddingView(state);
+  return ths
+    .map((th, index) => ({
+      label: th.textContent.trim(),
+      index,
+      chatOnly: th.classList.contains('chat-only'),
+      capability: th.classList.contains('capability-col'),
+      budget: th.classList.contains('budget-col'),
+      usage: th.classList.contains('usage-col'),
+      pin: th.classList.contains('pin-col'),
+    }))
+    .filter(col => !col.pin && !(embeddings && col.chatOnly) && !(col.capability && !state.showCapabilities) && !(col.budget && !isBudgetMode(state)) && !(col.usage && !state.usageLog));
+}
+
 function exportTableAsCSV(){
   const state = window.__state;
   if(!state) return;
   const tbody = document.getElementById('tableBody');
   if(!tbody) return;
 
-  const rows = Array.from(tbody.querySelectorAll('tr'));
-  const headers = ['Provider', 'Model', 'Input $/M', 'Output $/M', 'Context', 'Availability', 'Cost', 'Monthly'];
+  const rows = Array.from(tbody.querySelectorAll('tr[data-key]'));
+  const columns = getVisibleColumns(state);
+  const headers = columns.map(col => col.label);
 
   let csv = headers.join(',') + '\n';
   rows.forEach(tr => {
-    const cells = Array.from(tr.querySelectorAll('td')).map(td => {
+    const tds = tr.querySelectorAll('td');
+    const cells = columns.map(col => tds[col.index]).map(td => {
       let text = td.textContent.trim();
       // Escape quotes and wrap in quotes if contains comma
       if(text.includes(',') || text.includes('"')){
@@ -466,14 +1857,16 @@ function exportTableAsMarkdown(){
   const tbody = document.getElementById('tableBody');
   if(!tbody) return;
 
-  const rows = Array.from(tbody.querySelectorAll('tr'));
-  const headers = ['Provider', 'Model', 'Input $/M', 'Output $/M', 'Context', 'Availability', 'Cost', 'Monthly'];
+  const rows = Array.from(tbody.querySelectorAll('tr[data-key]'));
+  const columns = getVisibleColumns(state);
+  const headers = columns.map(col => col.label);
 
   let md = '| ' + headers.join(' | ') + ' |\n';
   md += '|' + headers.map(() => '---').join('|') + '|\n';
 
   rows.forEach(tr => {
-    const cells = Array.from(tr.querySelectorAll('td')).map(td => td.textContent.trim());
+    const tds = tr.querySelectorAll('td');
+    const cells = columns.map(col => tds[col.index].textContent.trim());
     md += '| ' + cells.join(' | ') + ' |\n';
   });
 
@@ -561,7 +1954,7 @@ function showKeyboardHelp(){
       <tr><td style="padding: 4px 0;"><code style="background: var(--bg); padding: 2px 6px; border-radius: 4px;">/</code></td><td style="padding: 4px 0 4px 12px;">Focus filter input</td></tr>
       <tr><td style="padding: 4px 0;"><code style="background: var(--bg); padding: 2px 6px; border-radius: 4px;">c</code></td><td style="padding: 4px 0 4px 12px;">Copy table as CSV</td></tr>
       <tr><td style="padding: 4px 0;"><code style="background: var(--bg); padding: 2px 6px; border-radius: 4px;">m</code></td><td style="padding: 4px 0 4px 12px;">Copy table as Markdown</td></tr>
-      <tr><td style="padding: 4px 0;"><code style="background: var(--bg); padding: 2px 6px; border-radius: 4px;">1-5</code></td><td style="padding: 4px 0 4px 12px;">Load preset 1-5</td></tr>
+      <tr><td style="padding: 4px 0;"><code style="background: var(--bg); padding: 2px 6px; border-radius: 4px;">1-9</code></td><td style="padding: 4px 0 4px 12px;">Load preset 1-9</td></tr>
       <tr><td style="padding: 4px 0;"><code style="background: var(--bg); padding: 2px 6px; border-radius: 4px;">?</code></td><td style="padding: 4px 0 4px 12px;">Show this help</td></tr>
     </table>
     <div style="margin-top: 16px; text-align: right;">
@@ -593,16 +1986,104 @@ function showKeyboardHelp(){
   });
 }
 
+function showPriceHistory(m){
+  const existing = document.getElementById('price-history-modal');
+  if(existing) existing.remove();
+
+  const pct = (cur, prev) => {
+    if(cur == null || prev == null || !prev || cur === prev) return '';
+    const change = (cur - prev) / prev * 100;
+    return ` <span class="${change > 0 ? 'delta-up' : 'delta-down'}">${change > 0 ? '+' : '−'}${Math.abs(change).toFixed(0)}%</span>`;
+  };
+  const rows = m.history.map((entry, i) => {
+    const prev = m.history[i - 1] || {};
+    return `
+      <tr>
+        <td>${escapeHtml(entry.effective_from || 'current')}</td>
+        <td class="price">${fmtPrice(entry.input)}${pct(entry.input, prev.input)}</td>
+        <td class="price">${fmtPrice(entry.output)}${pct(entry.output, prev.output)}</td>
+        <td class="price">${fmtPrice(entry.batch_input)}</td>
+        <td class="price">${fmtPrice(entry.batch_output)}</td>
+      </tr>`;
+  }).reverse().join('');
+
+  const modal = document.createElement('div');
+  modal.id = 'price-history-modal';
+  modal.style.cssText = `
+    position: fixed; top: 50%; left: 50%; transform: translate(-50%, -50%);
+    background: var(--panel); border: 1px solid var(--border); border-radius: 12px;
+    padding: 24px; max-width: 600px; width: calc(100% - 32px); z-index: 1000; box-shadow: 0 8px 32px rgba(0,0,0,0.5);
+  `;
+  modal.innerHTML = `
+    <h2 style="margin: 0 0 4px; font-size: 18px; color: var(--text);">Price history</h2>
+    <p class="muted" style="margin: 0 0 16px; font-size: 13px;">${escapeHtml(`${m.provider} · ${m.model_name}`)} · ${displayCurrency().code} per 1M tokens, newest first</p>
+    <table style="width: 100%; font-size: 14px; color: var(--text);">
+      <thead><tr><th>Effective from</th><th>Input</th><th>Output</th><th>Batch in</th><th>Batch out</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <div style="margin-top: 16px; text-align: right;">
+      <button id="close-history" style="padding: 6px 12px; background: var(--accent); border: none; color: #000; border-radius: 6px; cursor: pointer; font-weight: 500;">Close</button>
+    </div>
+  `;
+
+  const overlay = document.createElement('div');
+  overlay.style.cssText = `
+    position: fixed; top: 0; left: 0; right: 0; bottom: 0;
+    background: rgba(0,0,0,0.7); z-index: 999;
+  `;
+
+  document.body.appendChild(overlay);
+  document.body.appendChild(modal);
+
+  const closeHistory = () => {
+    modal.remove();
+    overlay.remove();
+    document.removeEventListener('keydown', escHandler);
+  };
+  function escHandler(e){
+    if(e.key === 'Escape') closeHistory();
+  }
+
+  document.getElementById('close-history').addEventListener('click', closeHistory);
+  overlay.addEventListener('click', closeHistory);
+  document.addEventListener('keydown', escHandler);
+}
+
+function setupHistory(state){
+  const tbody = document.getElementById('tableBody');
+  if(tbody){
+    tbody.addEventListener('click', (e) => {
+      const btn = e.target.closest('.history-btn');
+      if(!btn) return;
+      const key = btn.closest('tr').dataset.key;
+      const m = state.data.find(model => modelKey(model) === key);
+      if(m) showPriceHistory(m);
+    });
+  }
+  const asOfEl = document.getElementById('asOfDate');
+  if(asOfEl){
+    asOfEl.value = state.asOfDate || '';
+    asOfEl.addEventListener('change', () => {
+      state.asOfDate = DATE_RE.test(asOfEl.value) ? asOfEl.value : '';
+      applyFilterSort(state);
+      updateURL(state);
+      saveState(state);
+    });
+  }
+}
+
 function setupUI(state){
   const inputTokensEl = document.getElementById('inputTokens');
   const cachedTokensEl = document.getElementById('cachedTokens');
+  const cacheWriteTokensEl = document.getElementById('cacheWriteTokens');
   const outputTokensEl = document.getElementById('outputTokens');
   const rateValueEl = document.getElementById('rateValue');
+  const cacheFactorEl = document.getElementById('cacheFactor');
   const pricingTypeStdEl = document.getElementById('pricingTypeStd');
   const pricingTypeBatchEl = document.getElementById('pricingTypeBatch');
   const table = document.getElementById('priceTable');
 
-  if(!inputTokensEl || !cachedTokensEl || !outputTokensEl || !rateValueEl || !pricingTypeStdEl || !pricingTypeBatchEl) {
+  if(!inputTokensEl || !cachedTokensEl || !cacheWriteTokensEl || !outputTokensEl || !rateValueEl || !pricingTypeStdEl || !pricingTypeBatchEl) {
     console.error('Input elements not found');
     return {};
   }
@@ -612,8 +2093,13 @@ function setupUI(state){
     state.globalTokens = {
       in: Number(inputTokensEl.value || 0),
       cached: Number(cachedTokensEl.value || 0),
+      cacheWrite: Number(cacheWriteTokensEl.value || 0),
       out: Number(outputTokensEl.value || 0),
     };
+    for(const { key } of USAGE_INPUTS){
+      const el = document.getElementById(key);
+      state.globalTokens[key] = el ? Number(el.value || 0) : 0;
+    }
     recalcAllRows(state);
     updateURL(state);
     saveState(state);
@@ -627,6 +2113,15 @@ function setupUI(state){
     saveState(state);
   };
 
+  const updateCacheFactor = () => {
+    if(!state) return;
+    const factor = Number(cacheFactorEl.value);
+    state.cacheFactor = Number.isFinite(factor) && factor >= 0 ? factor : 0.5;
+    applyFilterSort(state);
+    updateURL(state);
+    saveState(state);
+  };
+
   const updatePricingType = () => {
     if(!state) return;
     state.useBatch = pricingTypeBatchEl.checked;
@@ -639,26 +2134,43 @@ function setupUI(state){
   inputTokensEl.addEventListener('change', updateGlobalTokens);
   cachedTokensEl.addEventListener('input', updateGlobalTokens);
   cachedTokensEl.addEventListener('change', updateGlobalTokens);
+  cacheWriteTokensEl.addEventListener('input', updateGlobalTokens);
+  cacheWriteTokensEl.addEventListener('change', updateGlobalTokens);
+  for(const { key } of USAGE_INPUTS){
+    const el = document.getElementById(key);
+    if(!el) continue;
+    el.addEventListener('input', updateGlobalTokens);
+    el.addEventListener('change', updateGlobalTokens);
+  }
   outputTokensEl.addEventListener('input', updateGlobalTokens);
   outputTokensEl.addEventListener('change', updateGlobalTokens);
   rateValueEl.addEventListener('input', updateRate);
   rateValueEl.addEventListener('change', updateRate);
+  if(cacheFactorEl){
+    cacheFactorEl.addEventListener('input', updateCacheFactor);
+    cacheFactorEl.addEventListener('change', updateCacheFactor);
+  }
   pricingTypeStdEl.addEventListener('change', updatePricingType);
   pricingTypeBatchEl.addEventListener('change', updatePricingType);
 
-  // Setup preset buttons
-  document.querySelectorAll('.preset-btn').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const preset = btn.dataset.preset;
-      loadPreset(preset, state);
+  // Setup preset buttons (custom ones are re-rendered, so delegate)
+  const presetsEl = document.querySelector('.presets');
+  if(presetsEl){
+    presetsEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('.preset-btn');
+      if(btn) loadPreset(btn.dataset.preset, state);
     });
-  });
+  }
 
-  // Setup save preset button
+  // Setup save and manage preset buttons
   const savePresetBtn = document.getElementById('save-preset-btn');
   if(savePresetBtn){
     savePresetBtn.addEventListener('click', () => saveCustomPreset(state));
   }
+  const managePresetsBtn = document.getElementById('manage-presets-btn');
+  if(managePresetsBtn){
+    managePresetsBtn.addEventListener('click', () => showPresetManager(state));
+  }
 
   // Setup filter input
   const filterInput = document.getElementById('filterInput');
@@ -666,6 +2178,7 @@ function setupUI(state){
     filterInput.addEventListener('input', (e) => {
       state.filterText = e.target.value;
       applyFilterSort(state);
+      updateURL(state);
     });
   }
 
@@ -675,6 +2188,7 @@ function setupUI(state){
     topNFilter.addEventListener('change', (e) => {
       state.topN = e.target.value;
       applyFilterSort(state);
+      updateURL(state);
     });
   }
 
@@ -698,18 +2212,215 @@ function setupUI(state){
   return {};
 }
 
+// Toggle per-view sections and relabel the shared controls and table columns
+function applyView(state){
+  const view = state.view || 'chat';
+  document.body.classList.toggle('view-embeddings', view === 'embeddings');
+  document.body.classList.toggle('view-workflow', view === 'workflow');
+  document.querySelectorAll('.view-tab').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.view === view);
+  });
+  document.querySelectorAll('[data-embeddings-label], [data-workflow-label]').forEach(el => {
+    if(!el.dataset.chatLabel) el.dataset.chatLabel = el.textContent;
+    el.textContent = el.dataset[`${view}Label`] || el.dataset.chatLabel;
+  });
+  const tokensPerDocEl = document.getElementById('tokensPerDoc');
+  if(tokensPerDocEl) tokensPerDocEl.disabled = (state.embedding || DEFAULT_EMBEDDING).corpusUnit === 'tokens';
+}
+
+function setupViews(state){
+  document.querySelectorAll('.view-tab').forEach(btn => {
+    btn.addEventListener('click', () => {
+      state.view = btn.dataset.view;
+      applyView(state);
+      applyFilterSort(state);
+      updateURL(state);
+      saveState(state);
+    });
+  });
+
+  const updateEmbedding = () => {
+    const emb = { ...state.embedding };
+    for(const { key } of EMBEDDING_INPUTS){
+      const el = document.getElementById(key);
+      if(!el) continue;
+      emb[key] = el.tagName === 'SELECT' ? el.value : Number(el.value || 0);
+    }
+    state.embedding = emb;
+    applyView(state);
+    recalcAllRows(state);
+    updateURL(state);
+    saveState(state);
+  };
+
+  for(const { key } of EMBEDDING_INPUTS){
+    const el = document.getElementById(key);
+    if(!el) continue;
+    el.value = state.embedding[key];
+    el.addEventListener('input', updateEmbedding);
+    el.addEventListener('change', updateEmbedding);
+  }
+  applyView(state);
+}
+
+// Show prices in the selected currency and relabel headers carrying a {sym} placeholder
+function applyCurrency(state){
+  const symbol = currencySymbol();
+  document.querySelectorAll('[data-currency-label]').forEach(el => {
+    el.textContent = el.dataset.currencyLabel.replace('{sym}', symbol);
+  });
+}
+
+function setupCurrency(state){
+  const select = document.getElementById('currencySelect');
+  const asOfEl = document.getElementById('ratesAsOf');
+  const rates = state.exchangeRates && state.exchangeRates.rates;
+  if(!currencyRate(state.exchangeRates, state.currency)) state.currency = BASE_CURRENCY;
+  if(select){
+    select.innerHTML = Object.keys(rates || { [BASE_CURRENCY]: 1 })
+      .map(code => `<option value="${code}">${code}</option>`).join('');
+    select.value = state.currency;
+    select.addEventListener('change', () => {
+      state.currency = select.value;
+      applyCurrency(state);
+      applyFilterSort(state);
+      updateURL(state);
+      saveState(state);
+    });
+  }
+  if(asOfEl){
+    asOfEl.textContent = state.exchangeRates && state.exchangeRates.as_of ? `rates as of ${state.exchangeRates.as_of}` : '';
+    if(state.exchangeRates && state.exchangeRates.source) asOfEl.title = `Exchange rates: ${state.exchangeRates.source}`;
+  }
+  applyCurrency(state);
+}
+
+// Region picker for models with regional pricing; hidden when the data has none
+// Region choices are the regions named anywhere in the price data
+function renderRegionOptions(state){
+  const select = document.getElementById('regionSelect');
+  const wrap = document.getElementById('regionControl');
+  const regions = new Set();
+  for(const m of state.data){
+    if(m.region) regions.add(m.region);
+    Object.keys(m.regions || {}).forEach(r => regions.add(r));
+  }
+  if(wrap) wrap.hidden = regions.size === 0;
+  if(!select || !regions.size) return;
+  if(!regions.has(state.region)) state.region = regions.has(DEFAULT_REGION) ? DEFAULT_REGION : [...regions][0];
+  select.innerHTML = [...regions].sort().map(r => `<option value="${escapeHtml(r)}">${escapeHtml(r)}</option>`).join('');
+  select.value = state.region;
+}
+
+function setupRegion(state){
+  renderRegionOptions(state);
+  const select = document.getElementById('regionSelect');
+  if(!select) return;
+  select.addEventListener('change', () => {
+    state.region = select.value;
+    applyFilterSort(state);
+    updateURL(state);
+    saveState(state);
+  });
+}
+
+function renderWorkflowSteps(state){
+  const tbody = document.getElementById('workflowSteps');
+  if(!tbody) return;
+  const steps = state.workflow.steps;
+  const options = state.data.map(m => ({ key: modelKey(m), label: `${m.provider} · ${m.model_name}` }))
+    .sort((a,b) => a.label.localeCompare(b.label));
+  tbody.innerHTML = steps.map((step, i) => `
+    <tr data-index="${i}">
+      <td><input data-field="name" type="text" value="${escapeHtml(step.name)}" /></td>
+      <td><select data-field="model">
+        <option value="">Table row's model</option>
+        ${options.map(o => `<option value="${escapeHtml(o.key)}"${o.key === step.model ? ' selected' : ''}>${escapeHtml(o.label)}</option>`).join('')}
+      </select></td>
+      ${WORKFLOW_STEP_FIELDS.map(({ key }) => `<td><input data-field="${key}" type="number" min="0" step="1" value="${step[key]}" /></td>`).join('')}
+      <td class="preset-actions">
+        <button data-action="up" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+        <button data-action="down" title="Move down" ${i === steps.length - 1 ? 'disabled' : ''}>↓</button>
+        <button data-action="delete" title="Remove step">🗑</button>
+      </td>
+    </tr>`).join('');
+  const calls = steps.reduce((sum, step) => sum + step.repeat, 0);
+  const tokens = steps.reduce((sum, step) => {
+    const inputs = step.repeat * (step.in + step.cached) + step.growth * step.repeat * (step.repeat - 1) / 2;
+    return sum + inputs + step.repeat * step.out;
+  }, 0);
+  const summary = document.getElementById('workflowSummary');
+  if(summary) summary.textContent = `${calls} call${calls===1?'':'s'} and ${Math.round(tokens).toLocaleString()} tokens per run`;
+}
+
+function setupWorkflow(state){
+  state.workflow = { steps: (state.workflow?.steps || DEFAULT_WORKFLOW.steps).map(sanitizeStep) };
+  const section = document.getElementById('workflow-builder');
+  if(!section) return;
+
+  const commit = (rerender) => {
+    if(rerender) renderWorkflowSteps(state);
+    applyFilterSort(state);
+    updateURL(state);
+    saveState(state);
+  };
+
+  section.addEventListener('change', (e) => {
+    const field = e.target.dataset.field;
+    const tr = e.target.closest('tr');
+    if(!field || !tr) return;
+    const steps = state.workflow.steps.slice();
+    const i = Number(tr.dataset.index);
+    steps[i] = sanitizeStep({ ...steps[i], [field]: e.target.value });
+    state.workflow = { steps };
+    commit(true);
+  });
+
+  section.addEventListener('click', (e) => {
+    const btn = e.target.closest('button');
+    if(!btn) return;
+    const steps = state.workflow.steps.slice();
+    const template = WORKFLOW_TEMPLATES[btn.dataset.template];
+    const i = Number(btn.closest('tr')?.dataset.index);
+    const action = btn.dataset.action;
+    if(template){
+      state.workflow = { steps: template.steps.map(sanitizeStep) };
+    } else if(action === 'add'){
+      state.workflow = { steps: [...steps, sanitizeStep({ name: `Step ${steps.length + 1}`, in: 1000, out: 500, repeat: 1 })] };
+    } else if(action === 'up' || action === 'down'){
+      const j = action === 'up' ? i - 1 : i + 1;
+      if(j < 0 || j >= steps.length) return;
+      [steps[i], steps[j]] = [steps[j], steps[i]];
+      state.workflow = { steps };
+    } else if(action === 'delete'){
+      steps.splice(i, 1);
+      state.workflow = { steps };
+    } else {
+      return;
+    }
+    commit(true);
+  });
+
+  renderWorkflowSteps(state);
+}
 
 function recalcAllRows(state){
   const tbody = document.getElementById('tableBody');
   if(!tbody || !state || !state.data) return;
+  if(state.groupByModel){
+    applyFilterSort(state);
+    return;
+  }
   const modelByKey = new Map();
-  for(const m of state.data){
-    const key = `${m.provider}::${m.model_id || m.model_name}`;
-    modelByKey.set(key, m);
+  for(const m of getActiveModels(state)){
+    modelByKey.set(modelKey(m), m);
   }
   const tokens = state.globalTokens || { in: 0, cached: 0, out: 0 };
   const useBatch = state.useBatch || false;
-  const monthlyRequests = calcMonthlyRequests(state.rateValue || 0);
+  const promptTokens = displayPromptTokens(state);
+  const usageActual = usageActualCost(state);
+  const shown = [...tbody.querySelectorAll('tr[data-key]')].map(tr => modelByKey.get(tr.dataset.key)).filter(Boolean);
+  const api = cheapestApiModel(shown, state);
   tbody.querySelectorAll('tr').forEach(tr => {
     const key = tr.dataset.key;
     const m = modelByKey.get(key);
@@ -719,44 +2430,155 @@ function recalcAllRows(state){
     const inputPriceCell = tr.querySelector('.pricing-input-col');
     const outputPriceCell = tr.querySelector('.pricing-output-col');
     if(!costCell || !monthlyCell) return;
-    const cost = calcCostWithCached(tokens, m, useBatch, state.cacheFactor);
-    const monthly = cost != null ? cost * monthlyRequests : null;
-    const fmt = v => v==null ? '—' : `$${v.toFixed(v>=10?2:3)}`;
+    const { cost } = calcRowCosts(m, state);
+    const fmt = fmtCost;
     costCell.textContent = fmt(cost);
-    monthlyCell.textContent = fmt(monthly);
-    if(inputPriceCell){
-      const inputPrice = useBatch ? (m.batch_input != null ? m.batch_input : m.input) : m.input;
-      inputPriceCell.textContent = fmtPrice(inputPrice);
-    }
-    if(outputPriceCell){
-      const outputPrice = useBatch ? (m.batch_output != null ? m.batch_output : m.output) : m.output;
-      outputPriceCell.textContent = fmtPrice(outputPrice);
-    }
+    if(isWorkflowView(state)) costCell.title = workflowBreakdown(m, state);
+    renderMonthlyCell(tr, m, state, api);
+    const tiered = isTierPriced(m, 'input', useBatch, promptTokens);
+    const setPriceCell = (cell, component) => {
+      cell.textContent = fmtPrice(resolvePrice(m, component, useBatch, promptTokens));
+      if(tiered){
+        cell.dataset.tiered = '1';
+        cell.title = `Long-context rate for ${fmtContext(promptTokens)} prompt tokens`;
+      } else {
+        delete cell.dataset.tiered;
+        cell.removeAttribute('title');
+      }
+    };
+    if(inputPriceCell) setPriceCell(inputPriceCell, 'input');
+    if(outputPriceCell) setPriceCell(outputPriceCell, 'output');
+    renderBudgetCell(tr, m, state);
+    renderUsageCell(tr, m, state, usageActual);
   });
+  renderComparePanel(state);
+  renderCharts(state);
+  renderUsagePanel(state);
+  renderTokenEstimate(state);
 }
 
-// Parse URL parameters and return state values
-function parseURLParams(){
-  const params = new URLSearchParams(window.location.search);
+// Defaults for every piece of user-facing state
+function defaultState(){
   return {
-    inputTokens: params.get('in') || null,
-    cachedTokens: params.get('cached') || null,
-    outputTokens: params.get('out') || null,
-    rateValue: params.get('rpd') || null,
-    useBatch: params.get('mode') === 'batch',
+    data: [],
+    sort: { key: 'provider', dir: 'asc' },
+    globalTokens: {
+      in: 1000,
+      cached: 0,
+      cacheWrite: 0,
+      out: 500,
+      ...Object.fromEntries(USAGE_INPUTS.map(({ key }) => [key, 0])),
+    },
+    cacheFactor: 0.5,
+    rateValue: 100,
+    rateType: 'RPM',
+    useBatch: false,
+    view: 'chat',
+    embedding: { ...DEFAULT_EMBEDDING },
+    currency: BASE_CURRENCY,
+    exchangeRates: null,
+    region: DEFAULT_REGION,
+    groupByModel: false,
+    expandedGroups: [],
+    workflow: { steps: DEFAULT_WORKFLOW.steps.map(step => ({ ...step })) },
+    pinned: [],
+    baseline: null,
+    asOfDate: '',
+    filterText: '',
+    budget: { ...DEFAULT_BUDGET },
+    providers: [],
+    capabilityFilter: [],
+    minContext: 0,
+    showCapabilities: false,
+    showCharts: false,
+    scatterMetric: 'input',
+    // Imported usage log (not persisted) and the model it is compared with
+    usageLog: null,
+    usageCompare: null,
+    estimateFamily: DEFAULT_TOKENIZER,
+    // Extra pricing files from ?data= URLs; the loaded files (public and
+    // ?data=) are kept in dataSources, uploaded files and discounts in
+    // `overrides`, saved separately (see saveOverrides)
+    dataUrls: [],
+    dataSources: [],
+    overrides: { discounts: [], files: [] },
+    topN: 'all',
+    showRanking: true,
   };
 }
 
+// Bumped whenever a param changes meaning. Links without `v` are version 1,
+// which only carried in/cached/out/rpd/mode (same keys and meaning as today).
+const URL_STATE_VERSION = 2;
+
+// Query param for each piece of shareable state, addressed by its path in window.__state
+const URL_STATE_FIELDS = [
+  { param: 'in', path: 'globalTokens.in', type: 'int' },
+  { param: 'cached', path: 'globalTokens.cached', type: 'int' },
+  { param: 'cw', path: 'globalTokens.cacheWrite', type: 'int' },
+  { param: 'out', path: 'globalTokens.out', type: 'int' },
+  ...USAGE_INPUTS.map(({ key, param }) => ({ param, path: `globalTokens.${key}`, type: 'float' })),
+  { param: 'rpd', path: 'rateValue', type: 'float' },
+  { param: 'mode', path: 'useBatch', type: 'flag', on: 'batch' },
+  { param: 'cf', path: 'cacheFactor', type: 'float' },
+  { param: 'budget', path: 'budget.amount', type: 'float' },
+  { param: 'solve', path: 'budget.solve', type: 'enum', values: ['rpd', 'tokens'] },
+  { param: 'q', path: 'filterText', type: 'string' },
+  { param: 'sort', path: 'sort', type: 'sort', keys: SORT_KEYS },
+  { param: 'top', path: 'topN', type: 'enum', values: ['all', '5', '10'] },
+  { param: 'prov', path: 'providers', type: 'list' },
+  { param: 'cap', path: 'capabilityFilter', type: 'list' },
+  { param: 'ctx', path: 'minContext', type: 'int' },
+  { param: 'capcols', path: 'showCapabilities', type: 'flag', on: '1' },
+  { param: 'charts', path: 'showCharts', type: 'flag', on: '1' },
+  { param: 'scatter', path: 'scatterMetric', type: 'enum', values: Object.keys(SCATTER_METRICS) },
+  { param: 'view', path: 'view', type: 'enum', values: ['chat', 'embeddings', 'workflow'] },
+  ...EMBEDDING_INPUTS.map(({ key, param, values }) => ({
+    param,
+    path: `embedding.${key}`,
+    ...(values ? { type: 'enum', values } : { type: 'float' }),
+  })),
+  { param: 'wf', path: 'workflow.steps', type: 'json', valid: isStepList },
+  // Rates load after the link is read, so setupCurrency checks the code itself
+  { param: 'cur', path: 'currency', type: 'string', valid: code => /^[A-Z]{3}$/.test(code) },
+  { param: 'region', path: 'region', type: 'string' },
+  { param: 'group', path: 'groupByModel', type: 'flag', on: '1' },
+  { param: 'pin', path: 'pinned', type: 'list' },
+  { param: 'base', path: 'baseline', type: 'string' },
+  { param: 'asof', path: 'asOfDate', type: 'date' },
+  { param: 'data', path: 'dataUrls', type: 'repeated' },
+];
+
+// Apply a partial state (as produced by decodeURLState or loadState) onto a state object
+function mergeState(state, patch){
+  for(const [key, value] of Object.entries(patch || {})){
+    if(value && typeof value === 'object' && !Array.isArray(value) && state[key] && typeof state[key] === 'object'){
+      state[key] = { ...state[key], ...value };
+    } else if(value !== undefined){
+      state[key] = value;
+    }
+  }
+  return state;
+}
+
+// Decode a query string into { version, patch }
+function decodeURLState(search){
+  const params = new URLSearchParams(search);
+  const version = parseInt(params.get('v')) || 1;
+  return { version, patch: decodeURLParams(params, URL_STATE_FIELDS) };
+}
+
+// Encode state as query params, leaving out anything at its default
+function encodeURLState(state){
+  const params = encodeURLParams(state, defaultState(), URL_STATE_FIELDS);
+  if([...params.keys()].length) params.set('v', URL_STATE_VERSION);
+  return params;
+}
+
 // Update URL with current state (without page reload)
 function updateURL(state){
   if(!state) return;
-  const params = new URLSearchParams();
-  const tokens = state.globalTokens || {};
-  if(tokens.in) params.set('in', tokens.in);
-  if(tokens.cached) params.set('cached', tokens.cached);
-  if(tokens.out) params.set('out', tokens.out);
-  if(state.rateValue) params.set('rpd', state.rateValue);
-  if(state.useBatch) params.set('mode', 'batch');
+  const params = encodeURLState(state);
   const newURL = params.toString() ? `${window.location.pathname}?${params.toString()}` : window.location.pathname;
   window.history.replaceState({}, '', newURL);
 }
@@ -769,6 +2591,20 @@ function saveState(state){
       globalTokens: state.globalTokens,
       rateValue: state.rateValue,
       useBatch: state.useBatch,
+      cacheFactor: state.cacheFactor,
+      budget: state.budget,
+      view: state.view,
+      embedding: state.embedding,
+      workflow: state.workflow,
+      currency: state.currency,
+      region: state.region,
+      groupByModel: state.groupByModel,
+      showCapabilities: state.showCapabilities,
+      showCharts: state.showCharts,
+      scatterMetric: state.scatterMetric,
+      pinned: state.pinned,
+      baseline: state.baseline,
+      asOfDate: state.asOfDate,
     };
     localStorage.setItem('llm-prices-state', JSON.stringify(toSave));
   } catch(e){
@@ -788,26 +2624,18 @@ function loadState(){
 }
 
 async function main(){
-  // Try URL params first, then localStorage, then smart defaults
-  const urlParams = parseURLParams();
+  // Versioned links carry the full state; legacy links only override the
+  // keys they contain on top of localStorage; otherwise smart defaults
+  const { version, patch } = decodeURLState(window.location.search);
   const savedState = loadState();
 
-  const state = {
-    data: [],
-    sort: { key: 'provider', dir: 'asc' },
-    globalTokens: {
-      in: parseInt(urlParams.inputTokens) || (savedState?.globalTokens?.in) || 1000,
-      cached: parseInt(urlParams.cachedTokens) || (savedState?.globalTokens?.cached) || 0,
-      out: parseInt(urlParams.outputTokens) || (savedState?.globalTokens?.out) || 500,
-    },
-    cacheFactor: 0.5,
-    rateValue: parseFloat(urlParams.rateValue) || savedState?.rateValue || 100,
-    rateType: 'RPM',
-    useBatch: urlParams.useBatch || savedState?.useBatch || false,
-    filterText: '',
-    topN: 'all',
-    showRanking: true,
-  };
+  const state = defaultState();
+  if(version < URL_STATE_VERSION){
+    mergeState(state, savedState);
+    // Old links with pins but no baseline compared against the first pin
+    if(patch.pinned && !patch.baseline) patch.baseline = null;
+  }
+  mergeState(state, patch);
   window.__state = state;
   // Surface unexpected JS errors in footer for easier debugging
   window.addEventListener('error', (e) => {
@@ -817,20 +2645,20 @@ async function main(){
   });
   const status = document.getElementById('dataStatus');
   try{
+    // Exchange rates are optional; without them everything stays in BASE_CURRENCY
+    state.exchangeRates = await fetchJsonAny(EXCHANGE_RATES_FILE).catch(err => {
+      console.warn('Exchange rates:', err.message);
+      return null;
+    });
     const results = await Promise.allSettled(DATA_FILES.map(fetchJsonAny));
-    const arrays = results.filter(r => r.status==='fulfilled').map(r => r.value);
-    const merged = arrays.flat();
-    // dedupe by provider+model_id
-    const seen = new Set();
-    const deduped = [];
-    for(const rec of merged){
-      const key = `${rec.provider || ''}::${rec.model_id || rec.model_name}`;
-      if(seen.has(key)) continue;
-      seen.add(key);
-      deduped.push(normalize(rec));
-    }
-    state.data = deduped;
-    if(status) status.textContent = `Loaded ${deduped.length} models`;
+    state.dataSources = results.map((r, i) => ({ name: DATA_FILES[i], records: r.status==='fulfilled' ? [r.value].flat() : [], custom: false }));
+    state.dataSources.push(...await fetchCustomSources(state.dataUrls));
+    state.overrides = loadOverrides();
+    rebuildData(state);
+    const warnings = state.data.flatMap(m => m.warnings);
+    warnings.forEach(w => console.warn('Pricing data:', w));
+    renderDataStatus(status, state.data.length, warnings);
+    renderPriceChanges(state.data);
 
     const table = document.getElementById('priceTable');
     if(table) {
@@ -839,23 +2667,49 @@ async function main(){
 
     setupUI(state);
     setupSort(state);
+    setupProviderFilter(state);
+    setupCapabilityFilter(state);
+    setupGrouping(state);
+    setupBudget(state);
+    setupCurrency(state);
+    setupRegion(state);
+    setupWorkflow(state);
+    setupViews(state);
+    setupCompare(state);
+    setupCharts(state);
+    setupUsageLog(state);
+    setupTokenEstimator(state);
+    setupCustomPricing(state);
+    setupHistory(state);
     setupKeyboardShortcuts(state);
     loadCustomPresets();
 
     // Initialize UI with loaded state
     const inputTokensEl = document.getElementById('inputTokens');
     const cachedTokensEl = document.getElementById('cachedTokens');
+    const cacheWriteTokensEl = document.getElementById('cacheWriteTokens');
     const outputTokensEl = document.getElementById('outputTokens');
     const rateValueEl = document.getElementById('rateValue');
+    const cacheFactorEl = document.getElementById('cacheFactor');
     const pricingTypeBatchEl = document.getElementById('pricingTypeBatch');
     const pricingTypeStdEl = document.getElementById('pricingTypeStd');
 
     if(inputTokensEl) inputTokensEl.value = state.globalTokens.in;
     if(cachedTokensEl) cachedTokensEl.value = state.globalTokens.cached;
+    if(cacheWriteTokensEl) cacheWriteTokensEl.value = state.globalTokens.cacheWrite;
     if(outputTokensEl) outputTokensEl.value = state.globalTokens.out;
+    for(const { key } of USAGE_INPUTS){
+      const el = document.getElementById(key);
+      if(el) el.value = state.globalTokens[key];
+    }
     if(rateValueEl) rateValueEl.value = state.rateValue;
+    if(cacheFactorEl) cacheFactorEl.value = state.cacheFactor;
     if(state.useBatch && pricingTypeBatchEl) pricingTypeBatchEl.checked = true;
     else if(pricingTypeStdEl) pricingTypeStdEl.checked = true;
+    const filterInputEl = document.getElementById('filterInput');
+    const topNFilterEl = document.getElementById('topNFilter');
+    if(filterInputEl) filterInputEl.value = state.filterText;
+    if(topNFilterEl) topNFilterEl.value = state.topN;
 
     applyFilterSort(state);
   }catch(err){
@@ -0,0 +1,85 @@
+// Bring-your-own pricing: merges the public pricing files with extra files
+// (uploaded or loaded from ?data= URLs) and applies per-provider or
+// per-model discounts. Pure functions only, like pricing-engine.mjs.
+
+import { normalize } from './pricing-engine.mjs';
+
+// Price fields a discount scales, wherever they appear in a record's pricing
+// (price_per_hour is a self-hosted instance's or a provisioned model unit's)
+const PRICE_FIELDS = ['price_per_million_tokens', 'price_per_unit', 'price_per_hour'];
+
+const sameText = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+// Records match case-insensitively, like discounts (see sameText)
+const recordKey = rec => `${rec.provider || ''}::${rec.model_id || rec.model_name}`.toLowerCase();
+
+// Pricing records in a parsed pricing file: an array of records or a single
+// record. Throws an Error when there are none.
+export function pricingRecords(json){
+  const records = (Array.isArray(json) ? json : [json]).filter(r => r && typeof r === 'object' && !Array.isArray(r) && (r.model_id || r.model_name));
+  if(!records.length) throw new Error('no pricing records (expected an array of records with model_id and pricing)');
+  return records;
+}
+
+// A discount as stored: { provider, model_id (null for every model of the
+// provider), percent (15 = 15% off; negative for a markup) }, or null
+export function sanitizeDiscount(raw){
+  if(!raw || typeof raw.provider !== 'string' || !raw.provider.trim()) return null;
+  const percent = Number(raw.percent);
+  if(!Number.isFinite(percent) || percent === 0 || percent > 100) return null;
+  return { provider: raw.provider.trim(), model_id: raw.model_id ? String(raw.model_id) : null, percent };
+}
+
+// The discount for a record: a model discount wins over its provider's
+export function discountFor(rec, discounts){
+  const mine = (discounts || []).filter(d => sameText(d.provider, rec.provider));
+  return mine.find(d => d.model_id && sameText(d.model_id, rec.model_id)) || mine.find(d => !d.model_id) || null;
+}
+
+// "−15%" for a discount, "+10%" for a markup
+export function fmtDiscount(percent){
+  return `${percent > 0 ? '−' : '+'}${Math.abs(percent)}%`;
+}
+
+function scalePrices(node, factor){
+  if(Array.isArray(node)) return node.map(item => scalePrices(item, factor));
+  if(!node || typeof node !== 'object') return node;
+  return Object.fromEntries(Object.entries(node).map(([key, value]) => [
+    key,
+    PRICE_FIELDS.includes(key) && typeof value === 'number' ? value * factor : scalePrices(value, factor),
+  ]));
+}
+
+// The record with every price (current, tiers, history, regions and the
+// self-hosted instance price) cut by `percent`
+export function applyDiscount(rec, percent){
+  const factor = 1 - percent / 100;
+  const out = { ...rec, pricing: scalePrices(rec.pricing, factor) };
+  if(rec.self_hosted) out.self_hosted = scalePrices(rec.self_hosted, factor);
+  if(Array.isArray(rec.price_history)) out.price_history = scalePrices(rec.price_history, factor);
+  if(rec.regions && typeof rec.regions === 'object') out.regions = scalePrices(rec.regions, factor);
+  return out;
+}
+
+// Normalized models from `sources` ({ name, records, custom }), in order.
+// Public files keep the first record per provider + model id; custom files
+// replace earlier records for the same model. Discounts then apply on top.
+// Custom or discounted models carry `override` = { source, discount }
+// (source is the custom file's name, discount the percent); others null.
+export function mergePricingData(sources, discounts, exchangeRates){
+  const byKey = new Map();
+  for(const source of sources){
+    for(const rec of source.records || []){
+      if(!rec || typeof rec !== 'object') continue;
+      const key = recordKey(rec);
+      if(byKey.has(key) && !source.custom) continue;
+      byKey.set(key, { rec, source: source.custom ? source.name : null });
+    }
+  }
+  return [...byKey.values()].map(({ rec, source }) => {
+    const discount = discountFor(rec, discounts);
+    const m = normalize(discount ? applyDiscount(rec, discount.percent) : rec, exchangeRates);
+    m.override = source || discount ? { source, discount: discount ? discount.percent : null } : null;
+    return m;
+  });
+}
@@ -0,0 +1,139 @@
+// Filter-box query language: words, `field<op>value` terms, `-` negation,
+// OR (or |) and parentheses. The fields (`{ name: { type, get } }`) and their
+// aliases come from the caller, like the URL fields in url-state.mjs. Pure
+// functions only, like pricing-engine.mjs.
+
+export const FILTER_OPS = {
+  text: [':', '=', '!='],
+  number: [':', '=', '!=', '>', '>=', '<', '<='],
+  month: [':', '=', '!=', '>', '>=', '<', '<='],
+  bool: [':', '='],
+};
+
+const FILTER_BOOLS = { yes: true, true: true, y: true, 1: true, no: false, false: false, n: false, 0: false };
+
+// Split a query into words, quoted phrases and parentheses
+function tokenizeFilter(text){
+  const tokens = [];
+  const re = /\s*(?:([()])|((?:[^\s()"]|"[^"]*")+)|(\S))/g;
+  let match;
+  while((match = re.exec(text))){
+    if(match[3]) throw new Error(`Unclosed quote at position ${match.index + match[0].indexOf('"') + 1}`);
+    tokens.push(match[1] || match[2]);
+  }
+  return tokens;
+}
+
+const unquote = s => s.replace(/"/g, '');
+
+// A single word: `-` negates, `field<op>value` compares, anything else
+// (including a prefix that is not a field, like `Anthropic:`, or a number
+// field compared with something that is not a number) is a substring search
+function parseFilterTerm(token, fields, aliases){
+  if(token.length > 1 && token[0] === '-') return { type: 'not', item: parseFilterTerm(token.slice(1), fields, aliases) };
+  const match = token.match(/^([a-z_]+)(>=|<=|!=|>|<|=|:)(.*)$/i);
+  const name = match && match[1].toLowerCase();
+  const fieldName = match && (Object.hasOwn(fields, name) ? name : Object.hasOwn(aliases, name) ? aliases[name] : null);
+  const field = fieldName && fields[fieldName];
+  if(!field) return { type: 'text', value: unquote(token).toLowerCase() };
+  let op = match[2];
+  if(!FILTER_OPS[field.type].includes(op)) throw new Error(`"${op}" does not work with ${fieldName}`);
+  const raw = unquote(match[3]).trim();
+  if(!raw) throw new Error(`Missing value after ${match[1]}${op}`);
+  let value = raw.toLowerCase();
+  if(field.type === 'number'){
+    // `context:>=128k` reads as `context>=128k`
+    const inner = op === ':' && value.match(/^(>=|<=|!=|>|<|=)\s*(.*)$/);
+    if(inner) [, op, value] = inner;
+    const num = value.match(/^(\d*\.?\d+)([km]?)$/);
+    if(!num) return { type: 'text', value: unquote(token).toLowerCase() };
+    value = parseFloat(num[1]) * ({ k: 1e3, m: 1e6 }[num[2]] || 1);
+  } else if(field.type === 'month'){
+    if(!/^\d{4}(-\d{2})?$/.test(value)) throw new Error(`${fieldName} needs YYYY or YYYY-MM, got "${raw}"`);
+    // A bare year means its last month for `>` and `<=` (cutoff>2024 is 2025 onwards)
+    if(value.length === 4 && (op === '>' || op === '<=')) value += '-12';
+  } else if(field.type === 'bool'){
+    if(!Object.hasOwn(FILTER_BOOLS, value)) throw new Error(`${fieldName} needs yes or no, got "${raw}"`);
+    value = FILTER_BOOLS[value];
+  }
+  return { type: 'field', field: fieldName, op, value };
+}
+
+// Parse the filter box: words are ANDed, OR (or |) separates alternatives,
+// parentheses group. Returns { node } or { error } with a readable message.
+export function parseFilterQuery(text, fields, aliases = {}){
+  try {
+    const tokens = tokenizeFilter(text);
+    let pos = 0;
+    const isOr = t => t === 'OR' || t === '|';
+    const parseOr = () => {
+      const items = [parseAnd()];
+      while(isOr(tokens[pos])){
+        pos++;
+        items.push(parseAnd());
+      }
+      return items.length === 1 ? items[0] : { type: 'or', items };
+    };
+    const parseAnd = () => {
+      const items = [];
+      while(pos < tokens.length && tokens[pos] !== ')' && !isOr(tokens[pos])){
+        const token = tokens[pos++];
+        // `-(a OR b)` negates a whole group
+        const negated = token === '-' && tokens[pos] === '(';
+        if(negated) pos++;
+        if(token === '(' || negated){
+          const group = parseOr();
+          if(tokens[pos++] !== ')') throw new Error('Missing closing parenthesis');
+          items.push(negated ? { type: 'not', item: group } : group);
+        } else {
+          items.push(parseFilterTerm(token, fields, aliases));
+        }
+      }
+      if(!items.length) throw new Error(pos < tokens.length ? `Nothing before "${tokens[pos]}"` : 'Nothing after OR');
+      return items.length === 1 ? items[0] : { type: 'and', items };
+    };
+    if(!tokens.length) return { node: null };
+    const node = parseOr();
+    if(pos < tokens.length) throw new Error(`Unexpected "${tokens[pos]}"`);
+    return { node };
+  } catch(e){
+    return { error: e.message };
+  }
+}
+
+function compareFilterValue(actual, op, expected){
+  if(actual == null) return op === '!=';
+  switch(op){
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '!=': return actual !== expected;
+    default: return actual === expected;
+  }
+}
+
+// Whether model `m` matches a parsed query `node`; field getters get `state`
+export function matchesFilter(node, m, state, fields){
+  switch(node.type){
+    case 'and': return node.items.every(item => matchesFilter(item, m, state, fields));
+    case 'or': return node.items.some(item => matchesFilter(item, m, state, fields));
+    case 'not': return !matchesFilter(node.item, m, state, fields);
+    case 'text':
+      return m.provider.toLowerCase().includes(node.value) ||
+        m.model_name.toLowerCase().includes(node.value) ||
+        m.model_id.toLowerCase().includes(node.value) ||
+        (m.context_length != null && m.context_length.toString().includes(node.value));
+  }
+  const field = fields[node.field];
+  const actual = field.get(m, state);
+  if(field.type === 'text'){
+    const text = actual == null ? null : String(actual).toLowerCase();
+    if(node.op === ':') return text != null && text.includes(node.value);
+    return compareFilterValue(text, node.op, node.value);
+  }
+  // A month like 2024 matches every 2024-MM with `:`, `=` and `!=`
+  if(field.type === 'month' && (node.op === ':' || node.op === '=')) return actual != null && actual.startsWith(node.value);
+  if(field.type === 'month' && node.op === '!=') return actual == null || !actual.startsWith(node.value);
+  return compareFilterValue(actual, node.op === ':' ? '=' : node.op, node.value);
+}
@@ -0,0 +1,852 @@
+// Pricing and cost engine shared by app.js and Node tools: normalizing
+// pricing records, resolving prices and computing costs and rankings.
+// Pure functions only (no DOM or window); calculations that depend on the
+// calculator take a `state` object with the fields they read, e.g.
+// { globalTokens, useBatch, cacheFactor, rateValue, view, embedding,
+//   workflow, data, asOfDate, region, budget, currency, exchangeRates,
+//   usageLog }.
+
+// Billable pricing components the calculator understands, with generic key aliases.
+// Token components are priced per 1M tokens; the others per unit (price_per_unit).
+export const PRICING_COMPONENTS = {
+  input: { unit: 'token', aliases: ['cache_miss'] },
+  output: { unit: 'token', aliases: [] },
+  cache_read: { unit: 'token', aliases: ['cache_hit', 'cached_input'] },
+  cache_write: { unit: 'token', aliases: ['cache_creation'] },
+  image_input: { unit: 'image', aliases: ['per_image_input'] },
+  image_output: { unit: 'image', aliases: ['per_image', 'image_generation'] },
+  audio_minute: { unit: 'minute', aliases: ['transcription'] },
+  web_search: { unit: 'search', aliases: ['search'] },
+  request: { unit: 'request', aliases: ['per_request'] },
+};
+
+// Non-token components, the per-request usage field that bills them, and their table label
+export const UNIT_COMPONENTS = [
+  { component: 'image_input', usage: 'imagesIn', label: 'image in' },
+  { component: 'image_output', usage: 'imagesOut', label: 'image' },
+  { component: 'audio_minute', usage: 'audioMinutes', label: 'audio min' },
+  { component: 'web_search', usage: 'searches', label: 'search' },
+  { component: 'request', usage: null, label: 'request' },
+];
+
+export const MODALITIES = ['text', 'image', 'audio', 'embedding'];
+
+// Explicit `modality` wins; otherwise models with no text output are classed by what they bill
+function inferModality(rec, std){
+  if(rec.modality) return rec.modality;
+  if(std.output) return 'text';
+  if(std.image_output) return 'image';
+  if(std.audio_minute) return 'audio';
+  return 'text';
+}
+
+export const PRICING_TIERS = ['standard', 'batch'];
+
+// Provisioned-throughput terms under pricing.provisioned, shortest first
+export const PROVISIONED_TERMS = [
+  { key: 'no_commitment', label: 'No commitment', short: 'no-commit', months: 0 },
+  { key: 'one_month', label: '1-month commitment', short: '1-month', months: 1 },
+  { key: 'six_month', label: '6-month commitment', short: '6-month', months: 6 },
+];
+
+// Provider-specific quirks, keyed by lowercased provider name
+export const PROVIDER_ADAPTERS = {
+  deepseek: {
+    aliases: { input_cache_miss: 'input', input_cache_hit: 'cache_read' },
+  },
+  anthropic: {
+    aliases: { cache_writes: 'cache_write', cache_hits: 'cache_read' },
+  },
+};
+
+const COMPONENT_ALIASES = Object.fromEntries(
+  Object.entries(PRICING_COMPONENTS).flatMap(([name, c]) => c.aliases.map(alias => [alias, name]))
+);
+
+function resolveComponentKey(key, adapter){
+  if(Object.prototype.hasOwnProperty.call(PRICING_COMPONENTS, key)) return key;
+  if(adapter && adapter.aliases && adapter.aliases[key]) return adapter.aliases[key];
+  return COMPONENT_ALIASES[key] || null;
+}
+
+// Canonical component a pricing key stands for in `provider`'s records, or
+// null when normalize would drop it as unknown
+export function pricingKeyComponent(key, provider){
+  return resolveComponentKey(key, PROVIDER_ADAPTERS[String(provider || '').toLowerCase()]);
+}
+
+// Numeric price of an entry in its component's unit; audio may also be given
+// per 1M audio tokens together with tokens_per_minute
+function componentPrice(component, entry){
+  if(!entry) return null;
+  const unit = PRICING_COMPONENTS[component].unit;
+  if(unit === 'token'){
+    return typeof entry.price_per_million_tokens === 'number' ? entry.price_per_million_tokens : null;
+  }
+  if(typeof entry.price_per_unit === 'number') return entry.price_per_unit;
+  if(unit === 'minute' && typeof entry.price_per_million_tokens === 'number' && typeof entry.tokens_per_minute === 'number'){
+    return entry.price_per_million_tokens * entry.tokens_per_minute / 1e6;
+  }
+  return null;
+}
+
+export const BASE_CURRENCY = 'USD';
+
+// Units of `code` per BASE_CURRENCY, or null without a usable rate
+export function currencyRate(exchangeRates, code){
+  if(code === BASE_CURRENCY) return 1;
+  const rates = exchangeRates && exchangeRates.rates;
+  if(!rates || !(rates[code] > 0) || !(rates[BASE_CURRENCY] > 0)) return null;
+  return rates[code] / rates[BASE_CURRENCY];
+}
+
+// Returns (amount, currency) => amount in BASE_CURRENCY. Rates are units of each
+// currency per `base`; currencies without a rate are left unconverted with a warning.
+function makeCurrencyConverter(exchangeRates, warn){
+  const rates = (exchangeRates && exchangeRates.rates) || { [BASE_CURRENCY]: 1 };
+  const warned = new Set();
+  return (amount, currency) => {
+    if(amount == null || !currency || currency === BASE_CURRENCY) return amount;
+    if(rates[currency] > 0 && rates[BASE_CURRENCY] > 0) return amount / rates[currency] * rates[BASE_CURRENCY];
+    if(!warned.has(currency)) warn(`no exchange rate for ${currency}; prices left unconverted`);
+    warned.add(currency);
+    return amount;
+  };
+}
+
+// Map one pricing tier onto canonical component names, reporting anything it can't use
+function normalizePricingTier(tier, adapter, warn, convert){
+  const out = {};
+  for(const [key, entry] of Object.entries(tier || {})){
+    const component = resolveComponentKey(key, adapter);
+    if(!component){
+      warn(`unknown pricing key "${key}"`);
+      continue;
+    }
+    const price = componentPrice(component, entry);
+    if(price == null){
+      const field = PRICING_COMPONENTS[component].unit === 'token' ? 'price_per_million_tokens' : 'price_per_unit';
+      warn(`"${key}" has no numeric ${field}`);
+      continue;
+    }
+    if(out[component]){
+      // An explicit canonical key wins over an alias for the same component
+      if(key !== component) { warn(`"${key}" duplicates "${component}"`); continue; }
+      warn(`"${component}" is also given by an alias`);
+    }
+    const tiers = Array.isArray(entry.tiers)
+      ? entry.tiers.map(t => t && typeof t.price_per_million_tokens === 'number' ? { ...t, price_per_million_tokens: convert(t.price_per_million_tokens, entry.currency) } : t)
+      : entry.tiers;
+    out[component] = { ...entry, price: convert(price, entry.currency), tiers };
+  }
+  return out;
+}
+
+// Hourly model-unit prices of each provisioned term, plus the throughput of
+// one unit when known (null otherwise), or null without any term
+function normalizeProvisioned(raw, warn, convert){
+  if(raw == null) return null;
+  const terms = [];
+  for(const term of PROVISIONED_TERMS){
+    const entry = raw[term.key];
+    if(entry == null) continue;
+    if(typeof entry.price_per_hour !== 'number' || entry.price_per_hour < 0){
+      warn(`provisioned ${term.key} has no numeric price_per_hour`);
+      continue;
+    }
+    terms.push({ ...term, price_per_hour: convert(entry.price_per_hour, entry.currency) });
+  }
+  for(const key of Object.keys(raw)){
+    if(!PROVISIONED_TERMS.some(t => t.key === key) && !/^(input|output)_tokens_per_minute$/.test(key)) warn(`unknown provisioned term "${key}"`);
+  }
+  if(!terms.length) return null;
+  const positive = v => typeof v === 'number' && v > 0 ? v : null;
+  return { terms, input_tokens_per_minute: positive(raw.input_tokens_per_minute), output_tokens_per_minute: positive(raw.output_tokens_per_minute) };
+}
+
+// Normalize one `pricing` object (current or historical) into flat price fields in BASE_CURRENCY
+function normalizePricing(pricing, adapter, warn, convert){
+  pricing = pricing || {};
+  for(const tierName of Object.keys(pricing)){
+    if(!PRICING_TIERS.includes(tierName) && tierName !== 'provisioned') warn(`unknown pricing tier "${tierName}"`);
+  }
+  const std = normalizePricingTier(pricing.standard, adapter, warn, convert);
+  const batch = normalizePricingTier(pricing.batch, adapter, warn, convert);
+  const val = p => p ? p.price : null;
+  // Threshold tiers ("above N prompt tokens, charge X"), sorted by threshold
+  const priceTiers = {};
+  const collectTiers = (tierPrices, prefix) => {
+    for(const [component, entry] of Object.entries(tierPrices)){
+      if(entry.tiers == null) continue;
+      if(!Array.isArray(entry.tiers)){
+        warn(`"${component}" tiers must be an array`);
+        continue;
+      }
+      const valid = entry.tiers.filter(t => t && typeof t.above_tokens === 'number' && typeof t.price_per_million_tokens === 'number');
+      if(valid.length !== entry.tiers.length) warn(`"${component}" has tiers without numeric above_tokens / price_per_million_tokens`);
+      if(valid.length) priceTiers[prefix + component] = valid.slice().sort((a,b) => a.above_tokens - b.above_tokens);
+    }
+  };
+  collectTiers(std, '');
+  collectTiers(batch, 'batch_');
+  const unitPrices = {};
+  for(const { component } of UNIT_COMPONENTS){
+    unitPrices[component] = val(std[component]);
+    unitPrices['batch_' + component] = val(batch[component]);
+  }
+  return {
+    std,
+    prices: {
+      input: val(std.input),
+      output: val(std.output),
+      batch_input: val(batch.input),
+      batch_output: val(batch.output),
+      cache_read: val(std.cache_read),
+      cache_write: val(std.cache_write),
+      batch_cache_read: val(batch.cache_read),
+      batch_cache_write: val(batch.cache_write),
+      ...unitPrices,
+      price_tiers: priceTiers,
+      provisioned: normalizeProvisioned(pricing.provisioned, warn, convert),
+      source_currency: (std.input && std.input.currency) || (std.output && std.output.currency) || (Object.values(std)[0] || {}).currency || 'USD',
+    },
+  };
+}
+
+export const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Dated price snapshots, oldest first; the current pricing is the last entry
+function normalizeHistory(rec, current, adapter, warn, convert){
+  const history = [];
+  for(const entry of Array.isArray(rec.price_history) ? rec.price_history : []){
+    if(!entry || !DATE_RE.test(entry.effective_from || '')){
+      warn('price_history entry needs an effective_from date (YYYY-MM-DD)');
+      continue;
+    }
+    const { prices } = normalizePricing(entry.pricing, adapter, msg => warn(`price_history ${entry.effective_from}: ${msg}`), convert);
+    history.push({ effective_from: entry.effective_from, ...prices });
+  }
+  if(rec.price_history != null && !Array.isArray(rec.price_history)) warn('price_history must be an array');
+  if(rec.effective_from != null && !DATE_RE.test(rec.effective_from)) warn('effective_from must be a YYYY-MM-DD date');
+  if(history.length && !rec.effective_from) warn('price_history is set but the current pricing has no effective_from');
+  history.sort((a,b) => a.effective_from.localeCompare(b.effective_from));
+  history.push({ effective_from: DATE_RE.test(rec.effective_from || '') ? rec.effective_from : null, ...current });
+  return history;
+}
+
+// The model with the prices in effect on `date` (YYYY-MM-DD), or null when
+// it has no price data that far back
+export function modelAsOf(m, date){
+  if(!date || !m.history) return m;
+  let snapshot = null;
+  for(const entry of m.history){
+    if(entry.effective_from == null || entry.effective_from <= date) snapshot = entry;
+  }
+  return snapshot ? { ...m, ...snapshot } : null;
+}
+
+export const DEFAULT_REGION = 'us-east-1';
+
+// Region named on a record's price entries (e.g. Bedrock's "us-east-1"), if any
+function pricingRegion(pricing){
+  for(const tier of Object.values(pricing || {})){
+    for(const entry of Object.values(tier || {})){
+      if(entry && typeof entry.region === 'string') return entry.region;
+    }
+  }
+  return null;
+}
+
+// Regional price overrides keyed by region code
+function normalizeRegions(rec, adapter, warn, convert){
+  const regions = {};
+  if(rec.regions == null) return regions;
+  if(typeof rec.regions !== 'object' || Array.isArray(rec.regions)){
+    warn('regions must be an object keyed by region');
+    return regions;
+  }
+  for(const [region, entry] of Object.entries(rec.regions)){
+    const { prices } = normalizePricing(entry && entry.pricing, adapter, msg => warn(`regions ${region}: ${msg}`), convert);
+    regions[region] = entry && entry.availability ? { ...prices, availability: entry.availability } : prices;
+  }
+  return regions;
+}
+
+// The model re-priced for `region`. Models with regional pricing that have no
+// prices for the region are kept but marked unavailable; others are unaffected.
+export function modelInRegion(m, region){
+  if(!region || !m.region || m.region === region) return m;
+  const regional = m.regions && m.regions[region];
+  if(regional) return { ...m, ...regional, region };
+  const { prices } = normalizePricing({}, null, () => {}, amount => amount);
+  return { ...m, ...prices, availability: 'unavailable', unavailable: true, region };
+}
+
+// The model as priced for the selected "prices as of" date and region, or null
+export function activeModel(m, state){
+  const dated = state.asOfDate ? modelAsOf(m, state.asOfDate) : m;
+  return dated && modelInRegion(dated, state.region);
+}
+
+// Models priced for the selected date (current prices when unset) and region
+export function getActiveModels(state){
+  return state.data.map(m => activeModel(m, state)).filter(Boolean);
+}
+
+export const RECENT_CHANGE_DAYS = 30;
+
+// Date of the model's latest price change, if its history records one
+export function lastPriceChange(m){
+  if(!m.history || m.history.length < 2) return null;
+  return m.history[m.history.length - 1].effective_from;
+}
+
+export function hasRecentPriceChange(m, now = new Date()){
+  const changed = lastPriceChange(m);
+  if(!changed) return false;
+  const cutoff = new Date(now.getTime() - RECENT_CHANGE_DAYS * 864e5).toISOString().slice(0, 10);
+  return changed >= cutoff;
+}
+
+// Boolean capability flags, in badge and filter-chip order
+export const CAPABILITIES = [
+  { key: 'tools', label: 'tools', title: 'Tool / function calling' },
+  { key: 'vision', label: 'vision', title: 'Image input' },
+  { key: 'json_mode', label: 'JSON', title: 'JSON mode or structured outputs' },
+  { key: 'reasoning', label: 'reasoning', title: 'Reasoning (thinking) tokens' },
+  { key: 'fine_tuning', label: 'fine-tune', title: 'Fine-tunable' },
+];
+
+const CUTOFF_RE = /^\d{4}-\d{2}(-\d{2})?$/;
+
+// Flags are true/false when the data says so and null when unknown
+function normalizeCapabilities(rec, warn){
+  const raw = rec.capabilities || {};
+  const caps = {};
+  for(const { key } of CAPABILITIES){
+    if(raw[key] != null && typeof raw[key] !== 'boolean') warn(`capabilities.${key} should be true or false`);
+    caps[key] = typeof raw[key] === 'boolean' ? raw[key] : null;
+  }
+  for(const key of Object.keys(raw)){
+    if(!CAPABILITIES.some(c => c.key === key)) warn(`unknown capability "${key}"`);
+  }
+  return caps;
+}
+
+// Self-hosted models are billed by the instance hour instead of per token.
+// Throughput is per instance at full load: `tokens_per_second` generated and
+// `input_tokens_per_second` prompt tokens processed (defaults to the former);
+// `utilization` is the share of that capacity the traffic actually uses.
+function normalizeSelfHosted(rec, warn, convert){
+  const raw = rec.self_hosted;
+  if(raw == null) return null;
+  const positive = v => typeof v === 'number' && v > 0 ? v : null;
+  const price = typeof raw.price_per_hour === 'number' && raw.price_per_hour >= 0 ? raw.price_per_hour : null;
+  const tps = positive(raw.tokens_per_second);
+  if(price == null || tps == null){
+    warn('self_hosted needs a numeric price_per_hour and tokens_per_second');
+    return null;
+  }
+  let utilization = raw.utilization;
+  if(!(utilization > 0 && utilization <= 1)){
+    warn('self_hosted utilization should be between 0 and 1; assuming 1');
+    utilization = 1;
+  }
+  if(rec.pricing && rec.pricing.standard && (rec.pricing.standard.input || rec.pricing.standard.output)){
+    warn('self_hosted replaces the input and output prices');
+  }
+  return {
+    price_per_hour: convert(price, raw.currency),
+    tokens_per_second: tps,
+    input_tokens_per_second: positive(raw.input_tokens_per_second) || tps,
+    utilization,
+    min_instances: Number.isInteger(raw.min_instances) && raw.min_instances >= 0 ? raw.min_instances : 1,
+  };
+}
+
+// Effective $/M at the expected utilization: an instance hour buys
+// tokens_per_second × 3600 × utilization tokens
+function selfHostedPrices(sh){
+  const perMillion = tps => sh.price_per_hour / (tps * 3600 * sh.utilization) * 1e6;
+  return { input: perMillion(sh.input_tokens_per_second), output: perMillion(sh.tokens_per_second) };
+}
+
+// Prices in non-base currencies are converted with exchangeRates (the parsed exchange-rates.json)
+export function normalize(rec, exchangeRates){
+  const warnings = [];
+  const label = rec.model_id || rec.model_name || 'unnamed record';
+  const warn = msg => warnings.push(`${rec.provider || 'Unknown'} ${label}: ${msg}`);
+  const adapter = PROVIDER_ADAPTERS[(rec.provider || '').toLowerCase()];
+  const convert = makeCurrencyConverter(exchangeRates, warn);
+  const { std, prices: listed } = normalizePricing(rec.pricing, adapter, warn, convert);
+  const selfHosted = normalizeSelfHosted(rec, warn, convert);
+  const prices = selfHosted ? { ...listed, ...selfHostedPrices(selfHosted) } : listed;
+  const region = pricingRegion(rec.pricing);
+  const regions = normalizeRegions(rec, adapter, warn, convert);
+  if(Object.keys(regions).length && !region) warn('regions is set but the price entries name no region');
+  let modality = inferModality(rec, std);
+  if(!MODALITIES.includes(modality)){
+    warn(`unknown modality "${modality}"; treated as text`);
+    modality = 'text';
+  }
+  if(rec.knowledge_cutoff && !CUTOFF_RE.test(rec.knowledge_cutoff)) warn(`knowledge_cutoff "${rec.knowledge_cutoff}" is not YYYY-MM`);
+  return {
+    provider: rec.provider || 'Unknown',
+    model_id: rec.model_id || '',
+    model_name: rec.model_name || rec.model_id || 'Unknown',
+    context_length: rec.context_length || null,
+    max_output_tokens: rec.max_output_tokens || null,
+    knowledge_cutoff: CUTOFF_RE.test(rec.knowledge_cutoff || '') ? rec.knowledge_cutoff.slice(0, 7) : null,
+    capabilities: normalizeCapabilities(rec, warn),
+    availability: rec.availability || 'unknown',
+    ...prices,
+    currency: BASE_CURRENCY,
+    canonical_id: rec.canonical_id || null,
+    region,
+    regions,
+    modality,
+    self_hosted: selfHosted,
+    history: normalizeHistory(rec, prices, adapter, warn, convert),
+    warnings,
+    raw: rec,
+  };
+}
+
+export function calcCost(tokensIn, tokensOut, m, useBatch){
+  let inPrice, outPrice;
+  if(useBatch){
+    // If batch pricing is not available, fallback to standard pricing
+    inPrice = m.batch_input != null ? m.batch_input : m.input;
+    outPrice = m.batch_output != null ? m.batch_output : m.output;
+  } else {
+    inPrice = m.input;
+    outPrice = m.output;
+  }
+  if(inPrice == null && outPrice == null) return null;
+  const pin = inPrice ? (tokensIn/1e6) * inPrice : 0;
+  const pout = outPrice ? (tokensOut/1e6) * outPrice : 0;
+  return pin + pout;
+}
+
+// Prompt size used to select long-context price tiers
+export function promptTokenCount(tokens){
+  if(!tokens) return 0;
+  return (tokens.in || 0) + (tokens.cached || 0) + (tokens.cacheWrite || 0);
+}
+
+// Price per 1M for a component ('input', 'output', 'cache_read', 'cache_write'),
+// falling back from batch to standard and applying the tier for the prompt size
+export function resolvePrice(m, component, useBatch, promptTokens){
+  let field = component;
+  if(useBatch && m['batch_' + component] != null) field = 'batch_' + component;
+  let price = m[field];
+  const tiers = m.price_tiers && m.price_tiers[field];
+  if(price == null || !tiers || !promptTokens) return price;
+  for(const tier of tiers){
+    if(promptTokens > tier.above_tokens) price = tier.price_per_million_tokens;
+  }
+  return price;
+}
+
+// True when a long-context tier applies to this component at the given prompt size
+export function isTierPriced(m, component, useBatch, promptTokens){
+  const field = useBatch && m['batch_' + component] != null ? 'batch_' + component : component;
+  const tiers = m.price_tiers && m.price_tiers[field];
+  return !!(tiers && tiers.length && promptTokens > tiers[0].above_tokens);
+}
+
+// True when the model has no cache-read price and cached input falls back to input * cacheFactor
+export function usesCacheFallback(m){
+  if(m.input == null && m.batch_input == null) return false;
+  return m.cache_read == null && m.batch_cache_read == null;
+}
+
+export function calcCostWithCached(tokens, m, useBatch, cacheFactor){
+  // If batch pricing is not available, resolvePrice falls back to standard pricing
+  const promptTokens = promptTokenCount(tokens);
+  const inPrice = resolvePrice(m, 'input', useBatch, promptTokens);
+  const outPrice = resolvePrice(m, 'output', useBatch, promptTokens);
+  let readPrice = resolvePrice(m, 'cache_read', useBatch, promptTokens);
+  let writePrice = resolvePrice(m, 'cache_write', useBatch, promptTokens);
+  // Flat per-image / per-minute / per-search / per-request charges
+  let punits = 0;
+  let unitsBilled = false;
+  for(const { component, usage } of UNIT_COMPONENTS){
+    const price = resolvePrice(m, component, useBatch, promptTokens);
+    if(price == null) continue;
+    const qty = usage ? (tokens[usage] || 0) : 1;
+    if(usage && qty > 0) unitsBilled = true;
+    punits += qty * price;
+  }
+  if(inPrice == null && outPrice == null){
+    // Unit-only models (image generation, transcription) have no cost until their unit is used
+    return unitsBilled ? punits : null;
+  }
+  // Without explicit cache prices, reads use the global factor and writes bill as regular input
+  if(readPrice == null) readPrice = inPrice != null ? inPrice * (cacheFactor ?? 0.5) : null;
+  if(writePrice == null) writePrice = inPrice;
+  const pin = inPrice ? (tokens.in/1e6) * inPrice : 0;
+  const pcached = readPrice ? (tokens.cached/1e6) * readPrice : 0;
+  const pwrite = writePrice ? ((tokens.cacheWrite || 0)/1e6) * writePrice : 0;
+  const pout = outPrice ? (tokens.out/1e6) * outPrice : 0;
+  return pin + pcached + pwrite + pout + punits;
+}
+
+export function calcMonthlyRequests(rateValue){
+  if(!rateValue || rateValue <= 0) return 0;
+  return rateValue * 30; // RPD * 30 days
+}
+
+// Corpus re-embeds per month for each re-embed frequency option
+export const REEMBEDS_PER_MONTH = { never: 0, monthly: 1, weekly: 52 / 12, daily: 30 };
+
+export const DEFAULT_EMBEDDING = {
+  corpusSize: 100000,
+  corpusUnit: 'documents',
+  tokensPerDoc: 500,
+  reembed: 'monthly',
+  queriesPerDay: 1000,
+  tokensPerQuery: 50,
+};
+
+export function corpusTokenCount(emb){
+  if(!emb) return 0;
+  return emb.corpusUnit === 'tokens' ? (emb.corpusSize || 0) : (emb.corpusSize || 0) * (emb.tokensPerDoc || 0);
+}
+
+// One-time indexing cost of the corpus (batch-priced when useBatch) and the
+// monthly cost of re-embedding it plus embedding live queries at standard rates
+export function calcEmbeddingCosts(m, emb, useBatch){
+  const indexPrice = resolvePrice(m, 'input', useBatch, 0);
+  const queryPrice = resolvePrice(m, 'input', false, 0);
+  if(indexPrice == null) return { cost: null, monthly: null };
+  const indexing = (corpusTokenCount(emb)/1e6) * indexPrice;
+  const queryTokens = calcMonthlyRequests(emb.queriesPerDay) * (emb.tokensPerQuery || 0);
+  // `reembed` comes from saved state and links, so only the map's own keys count
+  const reembeds = Object.hasOwn(REEMBEDS_PER_MONTH, emb.reembed) ? REEMBEDS_PER_MONTH[emb.reembed] : 0;
+  const monthly = indexing * reembeds + (queryTokens/1e6) * queryPrice;
+  return { cost: indexing, monthly };
+}
+
+export function isEmbeddingView(state){
+  return state.view === 'embeddings';
+}
+
+export function isWorkflowView(state){
+  return state.view === 'workflow';
+}
+
+// Prompt size used to pick long-context tiers for the price columns; workflows
+// have a different prompt per step, so their columns show base rates
+export function displayPromptTokens(state){
+  return state.view === 'embeddings' || state.view === 'workflow' ? 0 : promptTokenCount(state.globalTokens);
+}
+
+// A workflow is a list of steps run once per workflow run. Each step is a
+// request shape repeated `repeat` times, with `growth` input tokens added per
+// repeat (e.g. tool results accumulating in an agent loop). Steps with an
+// empty `model` use the table row's model; others are pinned to a model key.
+export const MAX_STEP_REPEAT = 1000;
+
+export const WORKFLOW_TEMPLATES = {
+  agent: {
+    name: '🤖 Agent turn',
+    steps: [
+      { name: 'Planner', model: '', in: 2000, cached: 0, out: 500, repeat: 1, growth: 0 },
+      { name: 'Tool calls', model: '', in: 3000, cached: 2000, out: 300, repeat: 5, growth: 1500 },
+      { name: 'Summarizer', model: '', in: 6000, cached: 0, out: 800, repeat: 1, growth: 0 },
+    ],
+  },
+  rag: {
+    name: '📚 RAG query',
+    steps: [
+      { name: 'Embed query', model: 'OpenAI::text-embedding-3-small', in: 50, cached: 0, out: 0, repeat: 1, growth: 0 },
+      { name: 'Rerank', model: '', in: 4000, cached: 0, out: 50, repeat: 1, growth: 0 },
+      { name: 'Generate', model: '', in: 3000, cached: 0, out: 500, repeat: 1, growth: 0 },
+    ],
+  },
+};
+
+export const DEFAULT_WORKFLOW = { steps: WORKFLOW_TEMPLATES.agent.steps };
+
+export const WORKFLOW_STEP_FIELDS = [
+  { key: 'in', label: 'Input' },
+  { key: 'cached', label: 'Cached' },
+  { key: 'out', label: 'Output' },
+  { key: 'repeat', label: 'Repeat' },
+  { key: 'growth', label: 'Growth/repeat' },
+];
+
+export function sanitizeStep(raw){
+  const step = { name: String(raw?.name || 'Step'), model: String(raw?.model || '') };
+  for(const { key } of WORKFLOW_STEP_FIELDS) step[key] = Math.max(0, Number(raw?.[key]) || 0);
+  step.repeat = Math.min(MAX_STEP_REPEAT, Math.floor(step.repeat));
+  return step;
+}
+
+// True for a list of step objects (e.g. a decoded `wf` link param)
+export function isStepList(value){
+  return Array.isArray(value) && value.every(step => step && typeof step === 'object' && !Array.isArray(step));
+}
+
+// Model a step is billed on, honouring the as-of date and region; null if it is unavailable
+export function resolveStepModel(step, rowModel, state){
+  if(!step.model) return rowModel;
+  const m = state.data.find(model => modelKey(model) === step.model);
+  return m ? activeModel(m, state) : null;
+}
+
+// Cost of one workflow run with rowModel filling the unpinned steps
+export function calcWorkflowCost(rowModel, workflow, state){
+  const useBatch = state.useBatch || false;
+  const steps = [];
+  let total = 0;
+  for(const step of workflow.steps){
+    const m = resolveStepModel(step, rowModel, state);
+    let cost = m ? 0 : null;
+    for(let i = 0; m && i < step.repeat; i++){
+      const tokens = { in: step.in + i * step.growth, cached: step.cached, cacheWrite: 0, out: step.out };
+      const callCost = calcCostWithCached(tokens, m, useBatch, state.cacheFactor);
+      if(callCost == null){
+        cost = null;
+        break;
+      }
+      cost += callCost;
+    }
+    steps.push({ name: step.name, model: m, cost });
+    total = total == null || cost == null ? null : total + cost;
+  }
+  return { cost: workflow.steps.length ? total : null, steps };
+}
+
+// Instances a self-hosted model needs for `rpd` requests costing `cost` each
+// at its effective rates (which already allow for utilization), and their
+// monthly bill: whole instances are paid for, never fewer than min_instances
+export function calcSelfHosting(m, cost, rpd){
+  const daily = m.self_hosted.price_per_hour * 24;
+  const load = daily > 0 ? Math.max(0, rpd || 0) * cost / daily : 0;
+  const instances = Math.max(m.self_hosted.min_instances, Math.ceil(load - 1e-9));
+  return { instances, monthly: instances * daily * calcMonthlyRequests(1) };
+}
+
+// Requests per day from which capacity bought in whole blocks (instances,
+// model units) of `daily` cost each stays cheaper than `apiCost` per request.
+// `full` is its cost per request with every block fully used. Each block
+// first beats the API at blocks × daily / apiCost requests, but once it is
+// full the next block can tip the API back ahead; that stops from the block
+// count where full / (apiCost − full) is reached. Null when the API is
+// cheaper even on full blocks.
+function sustainedBreakEven(daily, full, minBlocks, apiCost){
+  if(!apiCost || !(full < apiCost)) return null;
+  const blocks = Math.max(1, minBlocks, Math.ceil(full / (apiCost - full) - 1e-9));
+  return blocks * daily / apiCost;
+}
+
+// Requests per day above which self-hosted `m` (at `cost` per request) stays
+// cheaper than an API model at `apiCost` per request, or null when the API is
+// cheaper even with every instance fully used
+export function calcBreakEvenRpd(m, cost, apiCost){
+  if(cost == null) return null;
+  return sustainedBreakEven(m.self_hosted.price_per_hour * 24, cost, m.self_hosted.min_instances, apiCost);
+}
+
+// Models with provisioned throughput but no token prices
+export function isProvisionedOnly(m){
+  return !!m.provisioned && m.input == null && m.output == null;
+}
+
+// Requests a day one provisioned model unit serves at `tokens` per request,
+// taken as an even load over the day (no peaks), or Infinity when the data
+// gives no unit throughput
+export function provisionedUnitRpd(m, tokens){
+  const p = m.provisioned;
+  const minutes = Math.max(
+    p.input_tokens_per_minute ? promptTokenCount(tokens) / p.input_tokens_per_minute : 0,
+    p.output_tokens_per_minute ? ((tokens && tokens.out) || 0) / p.output_tokens_per_minute : 0
+  );
+  return minutes > 0 ? 24 * 60 / minutes : Infinity;
+}
+
+// Model units needed for `rpd` requests of `tokens` (at least one) and the
+// monthly bill of each provisioned term, cheapest first:
+// [{ key, label, short, months, price_per_hour, units, monthly }]
+export function calcProvisioned(m, tokens, rpd){
+  if(!m.provisioned) return [];
+  const units = Math.max(1, Math.ceil(Math.max(0, rpd || 0) / provisionedUnitRpd(m, tokens) - 1e-9));
+  return m.provisioned.terms
+    .map(t => ({ ...t, units, monthly: units * t.price_per_hour * 24 * calcMonthlyRequests(1) }))
+    .sort((a,b) => a.monthly - b.monthly);
+}
+
+// Requests per day above which provisioned `term` stays cheaper than
+// on-demand at `cost` per request, or null when on-demand is cheaper even with
+// every unit fully used
+export function calcProvisionedCrossover(m, term, cost, tokens){
+  const daily = term.price_per_hour * 24;
+  return sustainedBreakEven(daily, daily / provisionedUnitRpd(m, tokens), 1, cost);
+}
+
+// The cheapest pay-per-token row at the current inputs, as { model, cost }, or null
+export function cheapestApiModel(rows, state){
+  const model = rankByCost(rows.filter(m => !m.self_hosted && !isProvisionedOnly(m)), state)[0];
+  const cost = model ? calcRowCosts(model, state).cost : null;
+  return cost != null ? { model, cost } : null;
+}
+
+// Cost and Monthly column values for a row in the active view
+export function calcRowCosts(m, state){
+  if(isEmbeddingView(state)){
+    return calcEmbeddingCosts(m, state.embedding || DEFAULT_EMBEDDING, state.useBatch || false);
+  }
+  if(isWorkflowView(state)){
+    const { cost } = calcWorkflowCost(m, state.workflow || DEFAULT_WORKFLOW, state);
+    return { cost, monthly: cost != null ? cost * calcMonthlyRequests(state.rateValue || 0) : null };
+  }
+  const tokens = state.globalTokens || { in: 0, cached: 0, out: 0 };
+  const cost = calcCostWithCached(tokens, m, state.useBatch || false, state.cacheFactor);
+  if(cost != null && m.self_hosted) return { cost, monthly: calcSelfHosting(m, cost, state.rateValue).monthly };
+  if(cost == null && isProvisionedOnly(m)){
+    // Billed by the model unit hour on the cheapest term; `provisioned` is that term
+    const [best] = calcProvisioned(m, tokens, state.rateValue);
+    const requests = calcMonthlyRequests(state.rateValue || 0);
+    return { cost: requests ? best.monthly / requests : null, monthly: best.monthly, provisioned: best };
+  }
+  const monthly = cost != null ? cost * calcMonthlyRequests(state.rateValue || 0) : null;
+  return { cost, monthly };
+}
+
+// Cost of imported usage entries (see usage-log.mjs) on model `m`, or null
+// when it has no prices for them. Each entry is priced at its average request
+// so long-context tiers and per-request fees apply; entries without a request
+// count are priced at the base rates. Batch entries use batch prices.
+export function calcUsageCost(entries, m, cacheFactor){
+  let total = null;
+  for(const e of entries){
+    const n = e.requests || 1;
+    const priced = e.requests ? m : { ...m, price_tiers: null, request: null, batch_request: null };
+    const cost = calcCostWithCached({ in: e.input / n, cached: e.cached / n, cacheWrite: e.cacheWrite / n, out: e.output / n }, priced, e.batch, cacheFactor);
+    if(cost != null) total = (total || 0) + cost * n;
+  }
+  return total;
+}
+
+export const DEFAULT_BUDGET = { amount: 0, solve: 'rpd' };
+
+// Upper bound on how far "max tokens per request" scales the token profile
+const MAX_BUDGET_SCALE = 1e6;
+
+// Budget mode works on the per-request calculator only
+export function isBudgetMode(state){
+  return !isEmbeddingView(state) && !isWorkflowView(state) && !!state.budget && state.budget.amount > 0;
+}
+
+function scaleTokens(tokens, k){
+  return { ...tokens, in: tokens.in * k, cached: tokens.cached * k, cacheWrite: (tokens.cacheWrite || 0) * k, out: tokens.out * k };
+}
+
+// How a model fits the monthly budget (entered in the display currency):
+// headroom at the current workload, plus either the highest sustainable RPD
+// or the largest multiple of the token profile affordable at the current RPD.
+// Per-request fees and long-context tiers make cost non-linear in tokens, so
+// the multiple is found by bisection; the context window caps it.
+export function calcBudgetFit(m, state){
+  const budget = state.budget.amount / (currencyRate(state.exchangeRates, state.currency) || 1);
+  const { cost, monthly, provisioned } = calcRowCosts(m, state);
+  if(provisioned && state.budget.solve !== 'tokens'){
+    // Only whole model units fit the budget, each serving a fixed number of requests a day
+    const units = Math.floor(budget / (provisioned.monthly / provisioned.units) + 1e-9);
+    const maxRpd = units < 1 ? 0 : units * provisionedUnitRpd(m, state.globalTokens);
+    return { fits: monthly <= budget, headroom: (budget - monthly) / budget, maxRpd };
+  }
+  if(cost == null) return null;
+  const fit = { fits: monthly <= budget, headroom: (budget - monthly) / budget };
+  if(state.budget.solve !== 'tokens'){
+    fit.maxRpd = cost > 0 ? budget / (cost * calcMonthlyRequests(1)) : Infinity;
+    if(m.self_hosted && cost > 0){
+      // Only whole instances fit the budget; each serves price_per_hour × 24 of requests a day
+      const daily = m.self_hosted.price_per_hour * 24;
+      const instances = daily > 0 ? Math.floor(budget / (daily * calcMonthlyRequests(1)) + 1e-9) : Infinity;
+      fit.maxRpd = instances < m.self_hosted.min_instances ? 0 : instances * daily / cost;
+    }
+    return fit;
+  }
+  const tokens = state.globalTokens;
+  const total = tokens.in + tokens.cached + (tokens.cacheWrite || 0) + tokens.out;
+  const requests = calcMonthlyRequests(state.rateValue);
+  if(!total) return fit;
+  const perRequest = requests ? budget / requests : Infinity;
+  const costAt = k => provisioned
+    ? calcRowCosts(m, { ...state, globalTokens: scaleTokens(tokens, k) }).cost
+    : calcCostWithCached(scaleTokens(tokens, k), m, state.useBatch || false, state.cacheFactor) ?? 0;
+  const limit = m.context_length ? m.context_length / total : MAX_BUDGET_SCALE;
+  if(costAt(0) > perRequest){
+    fit.scale = 0;
+  } else if(costAt(limit) <= perRequest){
+    fit.scale = limit;
+    fit.contextLimited = !!m.context_length;
+  } else {
+    let lo = 0, hi = limit;
+    for(let i = 0; i < 60; i++){
+      const mid = (lo + hi) / 2;
+      if(costAt(mid) <= perRequest) lo = mid; else hi = mid;
+    }
+    fit.scale = lo;
+  }
+  fit.maxTokens = Math.floor(fit.scale * total);
+  return fit;
+}
+
+// Value the Budget column sorts by: the solved-for quantity
+export function budgetSortValue(m, state){
+  const fit = calcBudgetFit(m, state);
+  if(!fit) return null;
+  return state.budget.solve === 'tokens' ? fit.maxTokens : fit.maxRpd;
+}
+
+// Stable row identity used for DOM keys and pinned models
+export function modelKey(m){
+  return `${m.provider}::${m.model_id || m.model_name}`;
+}
+
+// Nulls sort after every value in ascending order
+function compareNullable(a, b){
+  if(a == null && b == null) return 0;
+  if(a == null) return 1;
+  if(b == null) return -1;
+  if(typeof a === 'number' && typeof b === 'number') return a === b ? 0 : (a > b ? 1 : -1);
+  return String(a).localeCompare(String(b));
+}
+
+// Keys the table can sort by: the columns' data-sort attributes
+export const SORT_KEYS = ['provider', 'model_name', 'input', 'output', 'context_length', 'max_output_tokens', 'knowledge_cutoff', 'availability', 'cost', 'monthly', 'budget', 'usage'];
+
+// Value a table column sorts by (`key` is the column's data-sort attribute)
+export function sortValue(m, key, state){
+  switch(key){
+    case 'cost': return calcRowCosts(m, state).cost;
+    case 'monthly': return calcRowCosts(m, state).monthly;
+    case 'input':
+    case 'output': return resolvePrice(m, key, state.useBatch || false, displayPromptTokens(state));
+    case 'budget': return isBudgetMode(state) ? budgetSortValue(m, state) : null;
+    case 'usage': return state.usageLog ? calcUsageCost(state.usageLog.entries, m, state.cacheFactor) : null;
+    default: return m[key];
+  }
+}
+
+export function compareModels(a, b, key, state){
+  return compareNullable(sortValue(a, key, state), sortValue(b, key, state));
+}
+
+// Rows ordered by a column; 'desc' reverses the ascending order, so models
+// without a value come first
+export function sortModels(rows, sort, state){
+  if(!sort || !sort.key) return rows;
+  const values = new Map(rows.map(m => [m, sortValue(m, sort.key, state)]));
+  const sign = sort.dir === 'desc' ? -1 : 1;
+  return rows.slice().sort((a,b) => sign * compareNullable(values.get(a), values.get(b)));
+}
+
+// Cheapest first by the Cost column; models without a cost come last
+export function rankByCost(rows, state){
+  return sortModels(rows, { key: 'cost', dir: 'asc' }, state);
+}
@@ -0,0 +1,522 @@
+#!/usr/bin/env node
+// Offline generator for the *-pricing.json data files.
+// Reads a locally saved provider price sheet, converts it to pricing.schema.json
+// records, merges them into the existing data file and prints the price changes.
+//
+// Usage:
+//   node scripts/build-pricing.js --provider aws --input offer.json [--region us-east-1] [--regions eu-west-1,ap-northeast-1]
+//   node scripts/build-pricing.js --provider openai --input pricing.html
+//   node scripts/build-pricing.js --provider anthropic --input pricing.csv
+// Options:
+//   --merge FILE   data file to merge into (default: the provider's file)
+//   --out FILE     where to write the merged records (default: the --merge file)
+//   --date DATE    effective_from for changed prices (default: today, YYYY-MM-DD)
+//   --write        write the merged file; without it only the diff is printed
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const PROVIDERS = {
+  aws: { provider: 'Amazon Bedrock', file: 'bedrock-pricing.json', source: 'https://aws.amazon.com/bedrock/pricing/' },
+  openai: { provider: 'OpenAI', file: 'openai-pricing.json' },
+  anthropic: { provider: 'Anthropic', file: 'anthropic-pricing.json' },
+};
+
+const PRICE_KEYS = ['price_per_million_tokens', 'price_per_unit', 'price_per_hour'];
+
+function slug(text){
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+function tokenPrice(price){
+  return { price_per_million_tokens: price, currency: 'USD' };
+}
+
+// --- AWS Price List offer files -------------------------------------------
+
+// Which pricing component a Bedrock SKU bills, from its inferenceType/usagetype
+function awsComponent(attrs){
+  const text = `${attrs.inferenceType || ''} ${attrs.usagetype || ''}`.toLowerCase();
+  if(/cache[\s-]?read/.test(text)) return 'cache_read';
+  if(/cache[\s-]?write/.test(text)) return 'cache_write';
+  if(/input/.test(text)) return 'input';
+  if(/output/.test(text)) return 'output';
+  return null;
+}
+
+// Price per 1M tokens from an offer price dimension ("1K tokens" or "1M tokens" units)
+function awsTokenPrice(dimension){
+  const usd = parseFloat(dimension.pricePerUnit && dimension.pricePerUnit.USD);
+  if(!Number.isFinite(usd)) return null;
+  const unit = String(dimension.unit || '').toLowerCase();
+  if(/^1k|thousand/.test(unit)) return round(usd * 1000);
+  if(/^1m|million/.test(unit)) return round(usd);
+  return null;
+}
+
+// Price per model unit hour from a provisioned-throughput price dimension
+function awsHourlyPrice(dimension){
+  const usd = parseFloat(dimension.pricePerUnit && dimension.pricePerUnit.USD);
+  if(!Number.isFinite(usd)) return null;
+  return /^(hour|hrs?)$/i.test(String(dimension.unit || '').trim()) ? round(usd) : null;
+}
+
+// Provisioned-throughput term of a SKU from its feature/usagetype text
+function awsCommitment(text){
+  if(/\b(6|six)[\s-]?months?\b/i.test(text)) return 'six_month';
+  if(/\b(1|one)[\s-]?months?\b/i.test(text)) return 'one_month';
+  return 'no_commitment';
+}
+
+function round(n){
+  return Number(n.toPrecision(10));
+}
+
+// Records from an AWS Price List offer file for Amazon Bedrock. `region` goes into
+// `pricing`; any `regions` are kept under the record's `regions`. Provisioned
+// throughput SKUs (hourly, per model unit) go under `pricing.provisioned` by
+// commitment term; custom-model, training and storage SKUs are skipped.
+function parseAwsOffer(offer, { region = 'us-east-1', regions = [] } = {}){
+  const wanted = new Set([region, ...regions]);
+  const onDemand = (offer.terms && offer.terms.OnDemand) || {};
+  const byModel = new Map();
+  for(const product of Object.values(offer.products || {})){
+    const attrs = product.attributes || {};
+    if(!attrs.model || !wanted.has(attrs.regionCode)) continue;
+    const text = `${attrs.feature || ''} ${attrs.usagetype || ''}`;
+    if(/custom model|training|storage/i.test(text)) continue;
+    const provisioned = /provisioned/i.test(text);
+    const component = provisioned ? null : awsComponent(attrs);
+    if(!provisioned && !component) continue;
+    const dimension = Object.values(onDemand[product.sku] || {})
+      .flatMap(term => Object.values(term.priceDimensions || {}))[0];
+    const price = dimension && (provisioned ? awsHourlyPrice(dimension) : awsTokenPrice(dimension));
+    if(price == null) continue;
+
+    let name = attrs.provider ? `${attrs.provider}: ${attrs.model}` : attrs.model;
+    if(/latency[\s-]optimized/i.test(text)) name += ' (w/ latency optimized inference)';
+    if(!byModel.has(name)) byModel.set(name, {});
+    const pricingByRegion = byModel.get(name);
+    const pricing = pricingByRegion[attrs.regionCode] = pricingByRegion[attrs.regionCode] || {};
+    if(provisioned){
+      pricing.provisioned = pricing.provisioned || {};
+      pricing.provisioned[awsCommitment(text)] = { price_per_hour: price, currency: 'USD', region: attrs.regionCode };
+      continue;
+    }
+    const tier = /batch/i.test(text) ? 'batch' : 'standard';
+    pricing[tier] = pricing[tier] || {};
+    pricing[tier][component] = { ...tokenPrice(price), region: attrs.regionCode };
+  }
+
+  const records = [];
+  for(const [name, pricingByRegion] of byModel){
+    if(!pricingByRegion[region]) continue;
+    const record = {
+      provider: PROVIDERS.aws.provider,
+      model_id: `bedrock-${slug(name)}`,
+      model_name: name,
+      pricing: sortTiers(pricingByRegion[region]),
+    };
+    const other = regions.filter(r => r !== region && pricingByRegion[r]);
+    if(other.length){
+      record.regions = Object.fromEntries(other.map(r => [r, { pricing: sortTiers(pricingByRegion[r]) }]));
+    }
+    records.push(record);
+  }
+  return records.sort((a,b) => a.model_name.localeCompare(b.model_name));
+}
+
+const COMPONENT_ORDER = ['input', 'output', 'cache_write', 'cache_read'];
+const PROVISIONED_ORDER = ['no_commitment', 'one_month', 'six_month', 'input_tokens_per_minute', 'output_tokens_per_minute'];
+
+function sortTiers(pricing){
+  const out = {};
+  for(const [tier, order] of [['standard', COMPONENT_ORDER], ['batch', COMPONENT_ORDER], ['provisioned', PROVISIONED_ORDER]]){
+    if(!pricing[tier]) continue;
+    out[tier] = {};
+    for(const key of order){
+      if(pricing[tier][key] != null) out[tier][key] = pricing[tier][key];
+    }
+  }
+  return out;
+}
+
+// --- HTML and CSV price tables --------------------------------------------
+
+// Column header -> [tier, component]; checked in order, first match wins
+const COLUMN_PATTERNS = [
+  [/^model/, null],
+  [/batch.*input/, ['batch', 'input']],
+  [/batch.*output/, ['batch', 'output']],
+  [/cache[ds]? ?(hit|read)|cached input/, ['standard', 'cache_read']],
+  [/cache ?writ/, ['standard', 'cache_write']],
+  [/input/, ['standard', 'input']],
+  [/output/, ['standard', 'output']],
+];
+
+function decodeEntities(text){
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#(\d+);/g, (_, n) => String.fromCharCode(Number(n)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCharCode(parseInt(n, 16)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+function cellText(html){
+  return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// "$1.25", "$3 / MTok", "$0.0025 / 1K tokens" -> price per 1M tokens; null for "-" etc.
+function parsePriceCell(text){
+  const match = String(text).replace(/,/g, '').match(/\$?\s*(\d+(?:\.\d+)?)/);
+  if(!match) return null;
+  const value = parseFloat(match[1]);
+  return /\/\s*1k|per 1k|per thousand/i.test(text) ? round(value * 1000) : value;
+}
+
+function modelCellName(text){
+  return text.replace(/\([^)]*\)/g, '').replace(/\s+/g, ' ').trim();
+}
+
+// Records from a header row plus data rows. `batch` marks a whole table as batch-priced.
+function rowsToRecords(header, rows, providerKey, { batch = false } = {}){
+  const columns = header.map(h => {
+    const label = h.toLowerCase();
+    const hit = COLUMN_PATTERNS.find(([re]) => re.test(label));
+    if(!hit) return undefined;
+    if(!hit[1]) return 'model';
+    return batch ? ['batch', hit[1][1]] : hit[1];
+  });
+  const modelIndex = columns.indexOf('model');
+  if(modelIndex < 0) return [];
+  // Only the first column per component counts (e.g. 5m before 1h cache writes)
+  const seen = new Set();
+  columns.forEach((col, i) => {
+    if(!Array.isArray(col)) return;
+    const key = col.join('.');
+    if(seen.has(key)) columns[i] = undefined;
+    seen.add(key);
+  });
+
+  const records = [];
+  for(const row of rows){
+    const name = modelCellName(row[modelIndex] || '');
+    if(!name) continue;
+    const pricing = {};
+    columns.forEach((col, i) => {
+      if(!Array.isArray(col)) return;
+      const price = parsePriceCell(row[i] || '');
+      if(price == null) return;
+      const [tier, component] = col;
+      pricing[tier] = pricing[tier] || {};
+      pricing[tier][component] = tokenPrice(price);
+    });
+    if(!Object.keys(pricing).length) continue;
+    records.push({
+      provider: PROVIDERS[providerKey].provider,
+      model_id: name.toLowerCase().replace(/[^a-z0-9.]+/g, '-').replace(/^-+|-+$/g, ''),
+      model_name: name,
+      pricing: sortTiers(pricing),
+    });
+  }
+  return records;
+}
+
+// Every <table> in a saved price page. Tables under a heading mentioning
+// "Batch" are batch prices; "Flex" and "Priority" tables are skipped.
+function parsePriceHtml(html, providerKey){
+  const records = [];
+  const tableRe = /<table[\s\S]*?<\/table>/gi;
+  let lastEnd = 0;
+  let match;
+  while((match = tableRe.exec(html))){
+    const before = html.slice(lastEnd, match.index);
+    const headings = [...before.matchAll(/<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/gi)].map(h => cellText(h[1]));
+    const heading = headings[headings.length - 1] || '';
+    lastEnd = match.index + match[0].length;
+    if(/flex|priority/i.test(heading)) continue;
+    const rows = [...match[0].matchAll(/<tr[\s\S]*?<\/tr>/gi)]
+      .map(tr => [...tr[0].matchAll(/<t[hd][^>]*>([\s\S]*?)<\/t[hd]>/gi)].map(td => cellText(td[1])));
+    if(rows.length < 2) continue;
+    records.push(...rowsToRecords(rows[0], rows.slice(1), providerKey, { batch: /batch/i.test(heading) }));
+  }
+  return mergeSameModel(records);
+}
+
+// Minimal RFC 4180 parser: quoted fields, "" escapes, CRLF or LF
+function parseCsv(text){
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for(let i = 0; i < text.length; i++){
+    const c = text[i];
+    if(quoted){
+      if(c === '"' && text[i + 1] === '"'){ field += '"'; i++; }
+      else if(c === '"') quoted = false;
+      else field += c;
+    } else if(c === '"'){
+      quoted = true;
+    } else if(c === ','){
+      row.push(field);
+      field = '';
+    } else if(c === '\n' || c === '\r'){
+      if(c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if(field || row.length){
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+function parsePriceCsv(text, providerKey){
+  const rows = parseCsv(text).map(r => r.map(cell => cell.trim()));
+  if(rows.length < 2) return [];
+  return mergeSameModel(rowsToRecords(rows[0], rows.slice(1), providerKey));
+}
+
+// Standard and batch tables list the same models; combine them into one record
+function mergeSameModel(records){
+  const byId = new Map();
+  for(const rec of records){
+    const existing = byId.get(rec.model_id);
+    if(!existing){
+      byId.set(rec.model_id, rec);
+      continue;
+    }
+    existing.pricing = sortTiers(mergePricing(existing.pricing, rec.pricing));
+  }
+  return [...byId.values()];
+}
+
+// --- Merging and diffing ---------------------------------------------------
+
+const isObject = v => v != null && typeof v === 'object' && !Array.isArray(v);
+
+// Hand-written fields of a price entry that a price sheet never overrides
+const KEPT_ENTRY_FIELDS = ['tiers', 'region'];
+
+// Field-level merge of one price entry: generated fields win, except that the
+// existing entry keeps its long-context `tiers` and `region`
+function mergeEntry(base, generated){
+  if(!isObject(base) || !isObject(generated)) return generated === undefined ? base : generated;
+  const out = { ...base, ...generated };
+  for(const field of KEPT_ENTRY_FIELDS){
+    if(base[field] !== undefined) out[field] = base[field];
+  }
+  return out;
+}
+
+
+// Component-level merge: generated prices win, components only in `base` are kept
+function mergePricing(base, generated){
+  const out = {};
+  for(const tier of new Set([...Object.keys(base || {}), ...Object.keys(generated || {})])){
+    const baseTier = (base || {})[tier] || {};
+    const generatedTier = (generated || {})[tier] || {};
+    out[tier] = {};
+    for(const component of new Set([...Object.keys(baseTier), ...Object.keys(generatedTier)])){
+      out[tier][component] = mergeEntry(baseTier[component], generatedTier[component]);
+    }
+  }
+  return out;
+}
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// When a record's `pricing` changed, move the old pricing to `price_history`
+// under its `effective_from` and date the new one `date`. Undated old pricing
+// has no date to file it under, so it is dropped with a warning and the record
+// stays undated (undated prices count as always in effect).
+function recordPriceChange(target, before, date, warn){
+  if(JSON.stringify(flattenPrices({ pricing: before })) === JSON.stringify(flattenPrices({ pricing: target.pricing }))) return;
+  if(!target.effective_from){
+    warn(`${target.model_id}: the old prices have no effective_from, so they are not kept in price_history`);
+    return;
+  }
+  if(target.effective_from === date) return;
+  target.price_history = [...(target.price_history || []), { effective_from: target.effective_from, pricing: before }];
+  target.effective_from = date;
+}
+
+// Merge generated records into an existing data file. Existing records keep every
+// field except their prices (context_length, availability, model_name, history, ...);
+// changed prices are dated `date` with the old ones moved to price_history (see
+// recordPriceChange); models missing from the source are kept unchanged; new
+// models are appended.
+function mergeRecords(existing, generated, { date = today(), warn = () => {} } = {}){
+  const merged = existing.map(rec => ({ ...rec }));
+  for(const rec of generated){
+    let i = merged.findIndex(e => e.provider === rec.provider && e.model_id === rec.model_id);
+    if(i < 0) i = merged.findIndex(e => e.provider === rec.provider && (e.model_name || '').toLowerCase() === rec.model_name.toLowerCase());
+    if(i < 0){
+      merged.push(rec);
+      continue;
+    }
+    const target = merged[i];
+    const before = target.pricing;
+    target.pricing = mergePricing(before, rec.pricing);
+    recordPriceChange(target, before, date, warn);
+    if(rec.regions){
+      const regions = { ...(target.regions || {}) };
+      for(const [region, entry] of Object.entries(rec.regions)){
+        regions[region] = { ...(regions[region] || {}), pricing: mergePricing(regions[region] && regions[region].pricing, entry.pricing) };
+      }
+      target.regions = regions;
+    }
+  }
+  return merged;
+}
+
+// Flat { "standard.input": 2.5, "regions.eu-west-1.standard.input": 2.6, ... } view of a record's prices
+function flattenPrices(rec){
+  const out = {};
+  const addPricing = (pricing, prefix) => {
+    for(const [tier, components] of Object.entries(pricing || {})){
+      for(const [component, entry] of Object.entries(components || {})){
+        const key = PRICE_KEYS.find(k => entry && typeof entry[k] === 'number');
+        if(key) out[`${prefix}${tier}.${component}`] = entry[key];
+      }
+    }
+  };
+  addPricing(rec.pricing, '');
+  for(const [region, entry] of Object.entries(rec.regions || {})) addPricing(entry && entry.pricing, `regions.${region}.`);
+  return out;
+}
+
+function recordKey(rec){
+  return `${rec.provider}::${rec.model_id}`;
+}
+
+// Price changes between two versions of a data file
+function diffPrices(before, after){
+  const beforeByKey = new Map(before.map(rec => [recordKey(rec), rec]));
+  const changes = [];
+  for(const rec of after){
+    const old = beforeByKey.get(recordKey(rec));
+    if(!old){
+      changes.push({ type: 'added', model_id: rec.model_id, prices: flattenPrices(rec) });
+      continue;
+    }
+    const from = flattenPrices(old);
+    const to = flattenPrices(rec);
+    const fields = [];
+    for(const field of new Set([...Object.keys(from), ...Object.keys(to)])){
+      if(from[field] !== to[field]) fields.push({ field, from: from[field] ?? null, to: to[field] ?? null });
+    }
+    if(fields.length) changes.push({ type: 'changed', model_id: rec.model_id, fields });
+  }
+  return changes;
+}
+
+function formatDiff(changes){
+  if(!changes.length) return 'No price changes.';
+  const fmt = v => v == null ? '—' : String(v);
+  const lines = [];
+  for(const change of changes){
+    if(change.type === 'added'){
+      lines.push(`+ ${change.model_id} (new) ${Object.entries(change.prices).map(([f, v]) => `${f}=${v}`).join(' ')}`);
+      continue;
+    }
+    for(const { field, from, to } of change.fields){
+      const pct = from && to != null ? ` (${to > from ? '+' : ''}${((to - from) / from * 100).toFixed(1)}%)` : '';
+      lines.push(`~ ${change.model_id} ${field}: ${fmt(from)} → ${fmt(to)}${pct}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// Same layout as the hand-maintained files: 2-space indent and "1.0"-style whole-number prices
+function formatRecords(records){
+  return JSON.stringify(records, null, 2).replace(/("price_per_(?:million_tokens|unit|hour)": )(-?\d+)(?=,?\n)/g, '$1$2.0') + '\n';
+}
+
+// --- CLI ------------------------------------------------------------------
+
+function parseArgs(argv){
+  const args = { regions: [] };
+  for(let i = 0; i < argv.length; i++){
+    const arg = argv[i];
+    if(arg === '--write') args.write = true;
+    else if(arg === '--regions') args.regions = (argv[++i] || '').split(',').filter(Boolean);
+    else if(arg.startsWith('--')) args[arg.slice(2)] = argv[++i];
+    else throw new Error(`unexpected argument "${arg}"`);
+  }
+  return args;
+}
+
+function parseSource(text, file, providerKey, options){
+  const ext = path.extname(file).toLowerCase();
+  if(providerKey === 'aws') return parseAwsOffer(JSON.parse(text), options);
+  if(ext === '.csv') return parsePriceCsv(text, providerKey);
+  if(ext === '.html' || ext === '.htm') return parsePriceHtml(text, providerKey);
+  throw new Error(`unsupported ${providerKey} input "${file}" (expected .html or .csv)`);
+}
+
+function main(argv, log = console.log){
+  const args = parseArgs(argv);
+  const config = PROVIDERS[args.provider];
+  if(!config || !args.input){
+    throw new Error(`usage: --provider ${Object.keys(PROVIDERS).join('|')} --input FILE [--merge FILE] [--out FILE] [--date YYYY-MM-DD] [--write]`);
+  }
+  const generated = parseSource(fs.readFileSync(args.input, 'utf8'), args.input, args.provider, {
+    region: args.region || 'us-east-1',
+    regions: args.regions,
+  });
+  if(config.source) generated.forEach(rec => { rec.source = rec.source || config.source; });
+  // Paths given on the command line are relative to the working directory, like --input
+  const mergePath = args.merge ? path.resolve(args.merge) : path.join(ROOT, config.file);
+  const existing = fs.existsSync(mergePath) ? JSON.parse(fs.readFileSync(mergePath, 'utf8')) : [];
+  const date = args.date || today();
+  if(!DATE_RE.test(date)) throw new Error(`--date needs YYYY-MM-DD, got "${date}"`);
+  const warnings = [];
+  const merged = mergeRecords(existing, generated, { date, warn: msg => warnings.push(msg) });
+  const changes = diffPrices(existing, merged);
+
+  log(`${generated.length} model${generated.length === 1 ? '' : 's'} read from ${args.input}`);
+  log(formatDiff(changes));
+  warnings.forEach(msg => log(`warning: ${msg}`));
+  const outPath = args.out ? path.resolve(args.out) : mergePath;
+  if(args.write){
+    fs.writeFileSync(outPath, formatRecords(merged));
+    log(`Wrote ${merged.length} records to ${path.relative(process.cwd(), outPath)}`);
+  } else {
+    log(`(dry run; pass --write to update ${path.relative(process.cwd(), outPath)})`);
+  }
+  return { generated, merged, changes };
+}
+
+if(require.main === module){
+  try {
+    main(process.argv.slice(2));
+  } catch(e){
+    console.error(e.message);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  parseAwsOffer,
+  parsePriceHtml,
+  parsePriceCsv,
+  parseCsv,
+  parsePriceCell,
+  mergeRecords,
+  diffPrices,
+  formatDiff,
+  formatRecords,
+  main,
+};
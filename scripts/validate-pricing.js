@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+// Offline validator for the *-pricing.json data files.
+// Checks every file in app.js's DATA_FILES against pricing.schema.json, that
+// each pricing key means something for the record's provider (the schema
+// lists every alias, but provider aliases only apply to their provider), and
+// that the engine's normalize() loads each record without warnings (a price
+// field the component cannot use, a currency exchange-rates.json lacks, ...).
+// Usage: node scripts/validate-pricing.js [file.json ...]
+
+const fs = require('fs');
+const path = require('path');
+
+const { pathToFileURL } = require('url');
+
+const ROOT = path.resolve(__dirname, '..');
+const SCHEMA_PATH = path.join(ROOT, 'pricing.schema.json');
+const RATES_PATH = path.join(ROOT, 'exchange-rates.json');
+
+// pricing-engine.mjs is an ES module, so it is loaded with import()
+function loadEngine(){
+  return import(pathToFileURL(path.join(ROOT, 'pricing-engine.mjs')).href);
+}
+
+// Read DATA_FILES from app.js so the list is maintained in one place
+function readDataFiles(){
+  const src = fs.readFileSync(path.join(ROOT, 'app.js'), 'utf8');
+  const match = src.match(/const DATA_FILES = \[([\s\S]*?)\];/);
+  if(!match) throw new Error('Could not find DATA_FILES in app.js');
+  return Array.from(match[1].matchAll(/'([^']+)'/g), m => m[1]);
+}
+
+function typeOf(value){
+  if(value === null) return 'null';
+  if(Array.isArray(value)) return 'array';
+  if(typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function resolveRef(schema, root){
+  if(!schema.$ref) return schema;
+  const parts = schema.$ref.replace(/^#\//, '').split('/');
+  return parts.reduce((node, key) => node[key], root);
+}
+
+// Minimal JSON Schema subset: $ref, type, enum, required, properties,
+// additionalProperties (false or a schema), items, anyOf, minimum,
+// exclusiveMinimum, maximum, minLength, pattern.
+function validate(value, schema, root, at, errors){
+  schema = resolveRef(schema, root);
+  if(schema.type){
+    const actual = typeOf(value);
+    const ok = schema.type === actual || (schema.type === 'number' && actual === 'integer');
+    if(!ok){
+      errors.push({ at, message: `expected ${schema.type}, got ${actual}` });
+      return;
+    }
+  }
+  if(schema.anyOf){
+    const matches = schema.anyOf.some(sub => {
+      const subErrors = [];
+      validate(value, sub, root, at, subErrors);
+      return subErrors.length === 0;
+    });
+    if(!matches) errors.push({ at, message: `must match one of: ${schema.anyOf.map(sub => JSON.stringify(sub.required || sub)).join(' | ')}` });
+  }
+  if(schema.enum && !schema.enum.includes(value)){
+    errors.push({ at, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+  if(typeof value === 'number'){
+    if(schema.minimum != null && value < schema.minimum) errors.push({ at, message: `must be >= ${schema.minimum}` });
+    if(schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) errors.push({ at, message: `must be > ${schema.exclusiveMinimum}` });
+    if(schema.maximum != null && value > schema.maximum) errors.push({ at, message: `must be <= ${schema.maximum}` });
+  }
+  if(typeof value === 'string'){
+    if(schema.minLength != null && value.length < schema.minLength){
+      errors.push({ at, message: `must not be shorter than ${schema.minLength}` });
+    }
+    if(schema.pattern && !new RegExp(schema.pattern).test(value)){
+      errors.push({ at, message: `must match ${schema.pattern}` });
+    }
+  }
+  if(Array.isArray(value) && schema.items){
+    value.forEach((item, i) => validate(item, schema.items, root, `${at}[${i}]`, errors));
+  }
+  if(typeOf(value) === 'object'){
+    for(const key of schema.required || []){
+      if(!(key in value)) errors.push({ at, message: `missing required property "${key}"` });
+    }
+    const props = schema.properties || {};
+    for(const [key, child] of Object.entries(value)){
+      if(props[key]){
+        validate(child, props[key], root, `${at}.${key}`, errors);
+      } else if(schema.additionalProperties === false){
+        errors.push({ at, message: `unknown property "${key}"` });
+      } else if(schema.additionalProperties && typeof schema.additionalProperties === 'object'){
+        validate(child, schema.additionalProperties, root, `${at}.${key}`, errors);
+      }
+    }
+  }
+}
+
+// Token and unit tiers of a record: current, regional and historical pricing
+function recordTiers(rec){
+  const tiers = [];
+  const add = (pricing, at) => {
+    for(const tier of ['standard', 'batch']){
+      if(pricing && pricing[tier] && typeof pricing[tier] === 'object') tiers.push({ components: pricing[tier], at: `${at}.${tier}` });
+    }
+  };
+  add(rec.pricing, '.pricing');
+  for(const [region, entry] of Object.entries(rec.regions || {})) add(entry && entry.pricing, `.regions.${region}.pricing`);
+  (Array.isArray(rec.price_history) ? rec.price_history : []).forEach((entry, i) => add(entry && entry.pricing, `.price_history[${i}].pricing`));
+  return tiers;
+}
+
+// Pricing keys normalize would drop for the record's provider
+function checkPricingKeys(rec, at, engine, errors){
+  for(const { components, at: tierAt } of recordTiers(rec)){
+    for(const key of Object.keys(components)){
+      if(!engine.pricingKeyComponent(key, rec.provider)) errors.push({ at: `${at}${tierAt}`, message: `"${key}" is not a pricing key for ${rec.provider}` });
+    }
+  }
+}
+
+// What normalize() warns about for a record, as errors. Unknown pricing keys
+// are left to checkPricingKeys, which reports them with their path.
+function checkNormalize(rec, at, engine, exchangeRates, errors){
+  const prefix = `${rec.provider || 'Unknown'} ${rec.model_id || rec.model_name || 'unnamed record'}: `;
+  for(const warning of engine.normalize(rec, exchangeRates).warnings){
+    const message = warning.startsWith(prefix) ? warning.slice(prefix.length) : warning;
+    if(!message.includes('unknown pricing key')) errors.push({ at, message });
+  }
+}
+
+// `engine` (the loaded pricing-engine.mjs) enables the provider key and
+// normalize checks, with prices converted by `exchangeRates`
+function validateFile(file, schema, engine, exchangeRates){
+  const errors = [];
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(path.resolve(ROOT, file), 'utf8'));
+  } catch(e){
+    return [{ file, index: null, at: '', message: e.code === 'ENOENT' ? 'file not found' : `invalid JSON: ${e.message}` }];
+  }
+  const raw = [];
+  validate(data, schema, schema, '', raw);
+  const seen = new Set();
+  if(Array.isArray(data)){
+    data.forEach((rec, i) => {
+      const key = rec && `${rec.provider}::${rec.model_id}`;
+      if(key && seen.has(key)) raw.push({ at: `[${i}]`, message: `duplicate record for ${rec.provider} ${rec.model_id}` });
+      seen.add(key);
+      if(engine && rec && typeof rec === 'object'){
+        checkPricingKeys(rec, `[${i}]`, engine, raw);
+        checkNormalize(rec, `[${i}]`, engine, exchangeRates, raw);
+      }
+    });
+  }
+  for(const err of raw){
+    const m = err.at.match(/^\[(\d+)\](.*)$/);
+    const index = m ? Number(m[1]) : null;
+    const rec = index != null ? data[index] : null;
+    errors.push({
+      file,
+      index,
+      model_id: rec && rec.model_id,
+      at: m ? m[2].replace(/^\./, '') : err.at,
+      message: err.message,
+    });
+  }
+  return errors;
+}
+
+function formatError(err){
+  let where = err.file;
+  if(err.index != null) where += ` [${err.index}]`;
+  if(err.model_id) where += ` (${err.model_id})`;
+  return `${where}${err.at ? ` ${err.at}` : ''}: ${err.message}`;
+}
+
+async function main(argv){
+  const files = argv.length ? argv : readDataFiles();
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  const engine = await loadEngine();
+  const exchangeRates = JSON.parse(fs.readFileSync(RATES_PATH, 'utf8'));
+  let total = 0;
+  for(const file of files){
+    const errors = validateFile(file, schema, engine, exchangeRates);
+    total += errors.length;
+    errors.forEach(err => console.error(formatError(err)));
+    if(!errors.length) console.log(`ok   ${file}`);
+  }
+  if(total){
+    console.error(`\n${total} error${total===1?'':'s'} found`);
+    return 1;
+  }
+  return 0;
+}
+
+if(require.main === module){
+  main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = { validate, validateFile, readDataFiles, loadEngine };
@@ -0,0 +1,189 @@
+// Tests for scripts/build-pricing.js against the saved price sheets in tests/fixtures.
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  parseAwsOffer,
+  parsePriceHtml,
+  parsePriceCsv,
+  parseCsv,
+  parsePriceCell,
+  mergeRecords,
+  diffPrices,
+  formatDiff,
+  formatRecords,
+  main,
+} = require('../scripts/build-pricing.js');
+const { validate } = require('../scripts/validate-pricing.js');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const fixture = name => fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+const price = p => ({ price_per_million_tokens: p, currency: 'USD' });
+const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'pricing.schema.json'), 'utf8'));
+
+function assertValid(records){
+  const errors = [];
+  validate(records, schema, schema, '', errors);
+  assert.deepEqual(errors, []);
+}
+
+test('AWS offer: on-demand token SKUs become per-1M prices in the default region', () => {
+  const records = parseAwsOffer(JSON.parse(fixture('aws-bedrock-offer.json')));
+  assert.deepEqual(records.map(r => r.model_id), ['bedrock-amazon-nova-amazon-nova-ultra', 'bedrock-cohere-command', 'bedrock-meta-llama-3-instruct-8b']);
+  const llama = records[2];
+  assert.equal(llama.model_name, 'Meta: Llama 3 Instruct (8B)');
+  assert.equal(llama.pricing.standard.input.price_per_million_tokens, 0.3);
+  assert.equal(llama.pricing.standard.output.price_per_million_tokens, 0.6);
+  assert.equal(llama.pricing.standard.input.region, 'us-east-1');
+  assert.equal(llama.pricing.batch.input.price_per_million_tokens, 0.15);
+  assert.equal(llama.regions, undefined);
+  assertValid(records);
+});
+
+test('AWS offer: extra regions are collected under `regions`', () => {
+  const records = parseAwsOffer(JSON.parse(fixture('aws-bedrock-offer.json')), { regions: ['ap-northeast-1'] });
+  const llama = records.find(r => r.model_id === 'bedrock-meta-llama-3-instruct-8b');
+  assert.deepEqual(Object.keys(llama.regions), ['ap-northeast-1']);
+  assert.equal(llama.regions['ap-northeast-1'].pricing.standard.output.price_per_million_tokens, 0.72);
+  assertValid(records);
+});
+
+test('AWS offer: provisioned throughput is kept per commitment term; custom-model SKUs are not', () => {
+  const records = parseAwsOffer(JSON.parse(fixture('aws-bedrock-offer.json')));
+  const llama = records.find(r => r.model_id === 'bedrock-meta-llama-3-instruct-8b');
+  assert.deepEqual(Object.keys(llama.pricing), ['standard', 'batch', 'provisioned']);
+  assert.deepEqual(llama.pricing.provisioned, {
+    no_commitment: { price_per_hour: 21.18, currency: 'USD', region: 'us-east-1' },
+    one_month: { price_per_hour: 20.4, currency: 'USD', region: 'us-east-1' },
+    six_month: { price_per_hour: 14.8, currency: 'USD', region: 'us-east-1' },
+  });
+  const command = records.find(r => r.model_id === 'bedrock-cohere-command');
+  assert.deepEqual(command.pricing, { provisioned: { six_month: { price_per_hour: 23.77, currency: 'USD', region: 'us-east-1' } } });
+  assert.deepEqual(diffPrices([{ ...command, pricing: {} }], [command])[0].fields.map(f => [f.field, f.to]), [['provisioned.six_month', 23.77]]);
+  assertValid(records);
+});
+
+test('OpenAI HTML: standard and batch tables merge per model; flex tables are skipped', () => {
+  const records = parsePriceHtml(fixture('openai-pricing.html'), 'openai');
+  assert.deepEqual(records.map(r => r.model_id), ['gpt-4.1', 'gpt-4o', 'gpt-5-ultra']);
+  const gpt41 = records[0];
+  assert.equal(gpt41.pricing.standard.cache_read.price_per_million_tokens, 0.5);
+  assert.equal(gpt41.pricing.batch.input.price_per_million_tokens, 1);
+  assert.equal(gpt41.pricing.batch.output.price_per_million_tokens, 4);
+  assert.equal(records[2].pricing.standard.cache_read, undefined);
+  assertValid(records);
+});
+
+test('Anthropic CSV: maps cache columns and keeps the first cache-write column', () => {
+  const records = parsePriceCsv(fixture('anthropic-pricing.csv'), 'anthropic');
+  assert.deepEqual(records.map(r => r.model_id), ['claude-opus-4.1', 'claude-sonnet-4.5', 'claude-haiku-4.5']);
+  const opus = records[0].pricing.standard;
+  assert.equal(opus.input.price_per_million_tokens, 15);
+  assert.equal(opus.cache_write.price_per_million_tokens, 18.75);
+  assert.equal(opus.cache_read.price_per_million_tokens, 1.5);
+  assert.equal(opus.output.price_per_million_tokens, 75);
+  assertValid(records);
+});
+
+test('parseCsv handles quotes, escaped quotes and CRLF', () => {
+  assert.deepEqual(parseCsv('a,"b, c","say ""hi"""\r\n1,2,3\r\n'), [['a', 'b, c', 'say "hi"'], ['1', '2', '3']]);
+});
+
+test('parsePriceCell converts per-1K prices and ignores blanks', () => {
+  assert.equal(parsePriceCell('$2.50'), 2.5);
+  assert.equal(parsePriceCell('$3 / MTok'), 3);
+  assert.equal(parsePriceCell('$0.0025 / 1K tokens'), 2.5);
+  assert.equal(parsePriceCell('-'), null);
+});
+
+test('merge keeps hand-written fields and untouched models, appends new ones', () => {
+  const existing = JSON.parse(fixture('openai-existing.json'));
+  const merged = mergeRecords(existing, parsePriceHtml(fixture('openai-pricing.html'), 'openai'));
+  assert.deepEqual(merged.map(r => r.model_id), ['gpt-4.1', 'gpt-4o', 'gpt-3.5-turbo', 'gpt-5-ultra']);
+  const gpt4o = merged[1];
+  assert.equal(gpt4o.model_name, 'GPT-4o');
+  assert.equal(gpt4o.context_length, 128000);
+  assert.equal(gpt4o.availability, 'production');
+  assert.equal(gpt4o.pricing.standard.input.price_per_million_tokens, 2.25);
+  assert.deepEqual(merged[2], existing[2]);
+  assertValid(merged);
+});
+
+test('merge updates prices field by field, keeping long-context tiers and regions', () => {
+  const tiered = (p, above) => ({ price_per_million_tokens: p, currency: 'USD', tiers: [{ above_tokens: 200000, price_per_million_tokens: above }] });
+  const existing = [{
+    provider: 'Anthropic',
+    model_id: 'claude-sonnet-4.5',
+    model_name: 'Claude Sonnet 4.5',
+    pricing: { standard: { input: tiered(2.5, 6), output: { ...tiered(15, 22.5), region: 'global' } } },
+  }];
+  const [merged] = mergeRecords(existing, parsePriceCsv(fixture('anthropic-pricing.csv'), 'anthropic'));
+  assert.deepEqual(merged.pricing.standard.input, tiered(3, 6));
+  assert.deepEqual(merged.pricing.standard.output, { ...tiered(15, 22.5), region: 'global' });
+  assert.deepEqual(merged.pricing.standard.cache_read, { price_per_million_tokens: 0.3, currency: 'USD' });
+});
+
+test('merge moves changed prices to price_history and dates the new ones', () => {
+  const [haiku] = parsePriceCsv(fixture('anthropic-pricing.csv'), 'anthropic').filter(r => r.model_id === 'claude-haiku-4.5');
+  const old = { standard: { input: price(0.8), output: price(4) } };
+  const dated = { provider: 'Anthropic', model_id: 'claude-haiku-4.5', model_name: 'Claude Haiku 4.5', effective_from: '2025-01-01', pricing: old, price_history: [{ effective_from: '2024-06-01', pricing: old }] };
+  const warnings = [];
+  const [merged] = mergeRecords([dated], [haiku], { date: '2025-10-15', warn: msg => warnings.push(msg) });
+  assert.equal(merged.effective_from, '2025-10-15');
+  assert.deepEqual(merged.price_history, [...dated.price_history, { effective_from: '2025-01-01', pricing: old }]);
+  assert.equal(merged.pricing.standard.input.price_per_million_tokens, 1);
+  assertValid([merged]);
+  // Same prices again: nothing to record
+  assert.deepEqual(mergeRecords([merged], [haiku], { date: '2025-10-20' }), [merged]);
+  // Undated old prices cannot be filed under a date
+  const [undated] = mergeRecords([{ ...dated, effective_from: undefined, price_history: undefined }], [haiku], { date: '2025-10-15', warn: msg => warnings.push(msg) });
+  assert.equal(undated.effective_from, undefined);
+  assert.equal(undated.price_history, undefined);
+  assert.deepEqual(warnings, ['claude-haiku-4.5: the old prices have no effective_from, so they are not kept in price_history']);
+});
+
+test('diff reports changed, added and unchanged prices', () => {
+  const existing = JSON.parse(fixture('openai-existing.json'));
+  const merged = mergeRecords(existing, parsePriceHtml(fixture('openai-pricing.html'), 'openai'));
+  const changes = diffPrices(existing, merged);
+  const byId = Object.fromEntries(changes.map(c => [c.model_id, c]));
+  assert.equal(byId['gpt-3.5-turbo'], undefined);
+  assert.equal(byId['gpt-5-ultra'].type, 'added');
+  assert.deepEqual(byId['gpt-4o'].fields.find(f => f.field === 'standard.input'), { field: 'standard.input', from: 2.5, to: 2.25 });
+  assert.match(formatDiff(changes), /~ gpt-4o standard\.input: 2\.5 → 2\.25 \(-10\.0%\)/);
+});
+
+test('formatRecords matches the layout of the data files', () => {
+  const text = fixture('openai-existing.json');
+  assert.equal(formatRecords(JSON.parse(text)), text);
+});
+
+test('CLI dry run prints the diff; --write updates the output file', () => {
+  const out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'build-pricing-')), 'openai-pricing.json');
+  const lines = [];
+  const args = ['--provider', 'openai', '--input', path.join(FIXTURES, 'openai-pricing.html'), '--merge', path.join(FIXTURES, 'openai-existing.json'), '--out', out];
+  main(args, line => lines.push(line));
+  assert.equal(fs.existsSync(out), false);
+  assert.match(lines.join('\n'), /dry run/);
+  main([...args, '--write'], () => {});
+  assert.equal(JSON.parse(fs.readFileSync(out, 'utf8')).length, 4);
+});
+
+test('CLI resolves --merge and --out against the working directory', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'build-pricing-'));
+  fs.copyFileSync(path.join(FIXTURES, 'openai-existing.json'), path.join(dir, 'existing.json'));
+  const cwd = process.cwd();
+  try {
+    process.chdir(dir);
+    main(['--provider', 'openai', '--input', path.join(FIXTURES, 'openai-pricing.html'), '--merge', 'existing.json', '--out', 'merged.json', '--write'], () => {});
+  } finally {
+    process.chdir(cwd);
+  }
+  assert.equal(JSON.parse(fs.readFileSync(path.join(dir, 'merged.json'), 'utf8')).length, 4);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
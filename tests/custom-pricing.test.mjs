@@ -0,0 +1,83 @@
+// Tests for custom-pricing.mjs: merging extra pricing files and discounts.
+// Run with: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { pricingRecords, sanitizeDiscount, discountFor, fmtDiscount, applyDiscount, mergePricingData } from '../custom-pricing.mjs';
+
+const price = (p, extra) => ({ price_per_million_tokens: p, currency: 'USD', ...extra });
+
+const record = (provider, model_id, input, output) => ({ provider, model_id, pricing: { standard: { input: price(input), output: price(output) } } });
+
+const PUBLIC = [
+  { name: 'openai-pricing.json', records: [record('OpenAI', 'gpt-4o', 2.5, 10), record('OpenAI', 'gpt-4o-mini', 0.15, 0.6)], custom: false },
+  { name: 'anthropic-pricing.json', records: [record('Anthropic', 'claude-haiku-4.5', 1, 5), record('OpenAI', 'gpt-4o', 99, 99)], custom: false },
+];
+
+test('pricing files are arrays of records or a single record', () => {
+  assert.equal(pricingRecords([record('A', 'a', 1, 1), null, 'x']).length, 1);
+  assert.equal(pricingRecords(record('A', 'a', 1, 1)).length, 1);
+  assert.throws(() => pricingRecords({ rates: {} }), /no pricing records/);
+  assert.throws(() => pricingRecords([]), /no pricing records/);
+});
+
+test('discounts need a provider and a percentage of up to 100', () => {
+  assert.deepEqual(sanitizeDiscount({ provider: ' OpenAI ', percent: '15' }), { provider: 'OpenAI', model_id: null, percent: 15 });
+  assert.deepEqual(sanitizeDiscount({ provider: 'OpenAI', model_id: 'gpt-4o', percent: -10 }), { provider: 'OpenAI', model_id: 'gpt-4o', percent: -10 });
+  assert.equal(sanitizeDiscount({ provider: 'OpenAI', percent: 0 }), null);
+  assert.equal(sanitizeDiscount({ provider: 'OpenAI', percent: 120 }), null);
+  assert.equal(sanitizeDiscount({ provider: '', percent: 10 }), null);
+  assert.equal(fmtDiscount(15), '−15%');
+  assert.equal(fmtDiscount(-10), '+10%');
+});
+
+test('a model discount wins over its provider discount', () => {
+  const discounts = [{ provider: 'openai', model_id: null, percent: 15 }, { provider: 'OpenAI', model_id: 'GPT-4o', percent: 30 }];
+  assert.equal(discountFor({ provider: 'OpenAI', model_id: 'gpt-4o' }, discounts).percent, 30);
+  assert.equal(discountFor({ provider: 'OpenAI', model_id: 'gpt-4o-mini' }, discounts).percent, 15);
+  assert.equal(discountFor({ provider: 'Anthropic', model_id: 'claude-haiku-4.5' }, discounts), null);
+});
+
+test('discounts scale every price: tiers, unit prices, history, regions and instance hours', () => {
+  const rec = {
+    provider: 'Test',
+    model_id: 't',
+    pricing: { standard: { input: price(2, { tiers: [{ above_tokens: 200000, price_per_million_tokens: 4 }] }), request: { price_per_unit: 0.01, currency: 'USD' } } },
+    price_history: [{ effective_from: '2024-01-01', pricing: { standard: { input: price(10) } } }],
+    regions: { 'eu-west-1': { pricing: { standard: { input: price(3) } } } },
+    self_hosted: { price_per_hour: 4, currency: 'USD', tokens_per_second: 1000, utilization: 0.5 },
+  };
+  const out = applyDiscount(rec, 25);
+  assert.equal(out.pricing.standard.input.price_per_million_tokens, 1.5);
+  assert.equal(out.pricing.standard.input.tiers[0].price_per_million_tokens, 3);
+  assert.equal(out.pricing.standard.input.tiers[0].above_tokens, 200000);
+  assert.equal(out.pricing.standard.request.price_per_unit, 0.0075);
+  assert.equal(out.price_history[0].pricing.standard.input.price_per_million_tokens, 7.5);
+  assert.equal(out.regions['eu-west-1'].pricing.standard.input.price_per_million_tokens, 2.25);
+  assert.equal(out.self_hosted.price_per_hour, 3);
+  assert.equal(out.self_hosted.tokens_per_second, 1000);
+  assert.equal(rec.pricing.standard.input.price_per_million_tokens, 2, 'the record itself is left alone');
+});
+
+test('public files keep the first record; custom files replace it in place', () => {
+  const publicOnly = mergePricingData(PUBLIC, [], null);
+  assert.deepEqual(publicOnly.map(m => [m.model_id, m.input, m.override]), [['gpt-4o', 2.5, null], ['gpt-4o-mini', 0.15, null], ['claude-haiku-4.5', 1, null]]);
+
+  const custom = { name: 'team.json', records: [record('OpenAI', 'gpt-4o', 2, 8), record('Self-hosted', 'llama-ft', 0.1, 0.1)], custom: true };
+  const merged = mergePricingData([...PUBLIC, custom], [{ provider: 'OpenAI', model_id: null, percent: 10 }], null);
+  assert.deepEqual(merged.map(m => m.model_id), ['gpt-4o', 'gpt-4o-mini', 'claude-haiku-4.5', 'llama-ft']);
+  assert.equal(merged[0].input, 1.8);
+  assert.deepEqual(merged[0].override, { source: 'team.json', discount: 10 });
+  assert.deepEqual(merged[1].override, { source: null, discount: 10 });
+  assert.equal(merged[2].override, null);
+  assert.deepEqual(merged[3].override, { source: 'team.json', discount: null });
+});
+
+test('custom records replace public ones whatever the case of provider and model id', () => {
+  const custom = { name: 'team.json', records: [record('openai', 'GPT-4o', 2, 8)], custom: true };
+  const merged = mergePricingData([...PUBLIC, custom], [], null);
+  assert.deepEqual(merged.map(m => m.model_id), ['GPT-4o', 'gpt-4o-mini', 'claude-haiku-4.5']);
+  assert.equal(merged[0].input, 2);
+  assert.deepEqual(merged[0].override, { source: 'team.json', discount: null });
+});
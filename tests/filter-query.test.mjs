@@ -0,0 +1,67 @@
+// Tests for filter-query.mjs: parsing and matching filter-box queries.
+// Run with: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalize } from '../pricing-engine.mjs';
+import { parseFilterQuery, matchesFilter } from '../filter-query.mjs';
+
+const price = p => ({ price_per_million_tokens: p, currency: 'USD' });
+
+// A subset of app.js's FILTER_FIELDS
+const FIELDS = {
+  provider: { type: 'text', get: m => m.provider },
+  context: { type: 'number', get: m => m.context_length },
+  cutoff: { type: 'month', get: m => m.knowledge_cutoff },
+  batch: { type: 'bool', get: m => m.batch_input != null || m.batch_output != null },
+};
+const ALIASES = { ctx: 'context' };
+
+const MODELS = [
+  normalize({ provider: 'Anthropic', model_id: 'claude-haiku-4.5', context_length: 200000, knowledge_cutoff: '2025-02', pricing: { standard: { input: price(1), output: price(5) }, batch: { input: price(0.5), output: price(2.5) } } }),
+  normalize({ provider: 'OpenAI', model_id: 'gpt-4o', context_length: 128000, knowledge_cutoff: '2023-10', pricing: { standard: { input: price(2.5), output: price(10) } } }),
+  normalize({ provider: 'OpenAI', model_id: 'gpt-4o-mini', context_length: 128000, pricing: { standard: { input: price(0.15), output: price(0.6) } } }),
+  normalize({ provider: 'Self-hosted', model_id: 'mistral:7b', self_hosted: { price_per_hour: 1, currency: 'USD', tokens_per_second: 1000 } }),
+];
+
+// Model ids matching `text`, or the parse error
+function filter(text){
+  const { node, error } = parseFilterQuery(text, FIELDS, ALIASES);
+  if(error) return error;
+  return MODELS.filter(m => !node || matchesFilter(node, m, {}, FIELDS)).map(m => m.model_id);
+}
+
+test('fields, aliases, negation, OR and groups', () => {
+  assert.deepEqual(filter(''), ['claude-haiku-4.5', 'gpt-4o', 'gpt-4o-mini', 'mistral:7b']);
+  assert.deepEqual(filter('provider:openai -mini'), ['gpt-4o']);
+  assert.deepEqual(filter('ctx>=150k OR cutoff<2024'), ['claude-haiku-4.5', 'gpt-4o']);
+  assert.deepEqual(filter('-(batch:yes | cutoff:2023)'), ['gpt-4o-mini', 'mistral:7b']);
+  assert.deepEqual(filter('cutoff!=2023'), ['claude-haiku-4.5', 'gpt-4o-mini', 'mistral:7b']);
+  assert.deepEqual(filter('"gpt-4o mini"'), []);
+});
+
+test('a prefix that is not a field is searched as plain text', () => {
+  assert.deepEqual(filter('mistral:7b'), ['mistral:7b']);
+  assert.deepEqual(filter('Mistral:'), ['mistral:7b']);
+  assert.deepEqual(filter('Anthropic:'), []);
+  assert.deepEqual(filter('-mistral:7b'), ['claude-haiku-4.5', 'gpt-4o', 'gpt-4o-mini']);
+  assert.deepEqual(filter('constructor:x toString=y'), []);
+});
+
+test('number fields take an operator after `:`; anything but a number is searched as text', () => {
+  assert.deepEqual(filter('ctx:>=150k'), ['claude-haiku-4.5']);
+  assert.deepEqual(filter('ctx:128000'), ['gpt-4o', 'gpt-4o-mini']);
+  for(const text of ['ctx<-1', 'ctx:<-1', 'ctx>lots', 'ctx:$1']){
+    assert.deepEqual(parseFilterQuery(text, FIELDS, ALIASES).node, { type: 'text', value: text.toLowerCase() }, text);
+  }
+  assert.deepEqual(filter('-ctx<-1'), ['claude-haiku-4.5', 'gpt-4o', 'gpt-4o-mini', 'mistral:7b']);
+});
+
+test('mistakes in known fields are reported', () => {
+  assert.equal(filter('provider>a'), '">" does not work with provider');
+  assert.equal(filter('batch:maybe'), 'batch needs yes or no, got "maybe"');
+  assert.equal(filter('cutoff:'), 'Missing value after cutoff:');
+  assert.equal(filter('(batch:yes'), 'Missing closing parenthesis');
+  assert.equal(filter('"open'), 'Unclosed quote at position 1');
+});
@@ -0,0 +1,251 @@
+// Tests for pricing-engine.mjs, the cost math shared by app.js and Node tools.
+// Run with: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  normalize,
+  resolvePrice,
+  calcCost,
+  calcCostWithCached,
+  calcMonthlyRequests,
+  calcRowCosts,
+  calcBudgetFit,
+  calcUsageCost,
+  calcSelfHosting,
+  calcBreakEvenRpd,
+  cheapestApiModel,
+  calcProvisioned,
+  calcProvisionedCrossover,
+  calcEmbeddingCosts,
+  DEFAULT_EMBEDDING,
+  currencyRate,
+  modelAsOf,
+  modelInRegion,
+  modelKey,
+  rankByCost,
+  sortModels,
+} from '../pricing-engine.mjs';
+
+const price = (p, extra) => ({ price_per_million_tokens: p, currency: 'USD', ...extra });
+
+// A normalized model from a record with the given tiers; `id` doubles as the name
+function model(id, pricing, extra){
+  return normalize({ provider: 'Test', model_id: id, pricing, ...extra });
+}
+
+const tokens = (inTok, out, cached = 0, cacheWrite = 0) => ({ in: inTok, cached, cacheWrite, out });
+
+const state = overrides => ({
+  globalTokens: tokens(1e6, 1e6),
+  useBatch: false,
+  cacheFactor: 0.5,
+  rateValue: 10,
+  view: 'chat',
+  ...overrides,
+});
+
+test('normalize maps aliases, converts currencies and reports unknown keys', () => {
+  const m = normalize({
+    provider: 'DeepSeek',
+    model_id: 'ds',
+    pricing: { standard: { input_cache_miss: price(0.5), input_cache_hit: price(0.1), output: price(2, { currency: 'EUR' }), bogus: price(1) } },
+  }, { base: 'USD', rates: { USD: 1, EUR: 0.5 } });
+  assert.equal(m.input, 0.5);
+  assert.equal(m.cache_read, 0.1);
+  assert.equal(m.output, 4);
+  assert.equal(m.currency, 'USD');
+  assert.equal(m.warnings.length, 1);
+  assert.match(m.warnings[0], /bogus/);
+  const odd = normalize({ provider: 'Test', model_id: 'odd', modality: '"><img src=x>', pricing: { standard: { input: price(1) } } });
+  assert.equal(odd.modality, 'text');
+  assert.match(odd.warnings[0], /unknown modality .*treated as text/);
+});
+
+test('batch pricing falls back to standard prices per component', () => {
+  const m = model('partial-batch', { standard: { input: price(2), output: price(8) }, batch: { input: price(1) } });
+  assert.equal(resolvePrice(m, 'input', true, 0), 1);
+  assert.equal(resolvePrice(m, 'output', true, 0), 8);
+  assert.equal(calcCost(1e6, 1e6, m, true), 9);
+  assert.equal(calcCostWithCached(tokens(1e6, 1e6), m, true, 0.5), 9);
+  assert.equal(calcCostWithCached(tokens(1e6, 1e6), m, false, 0.5), 10);
+});
+
+test('models without token prices cost null; a missing side costs nothing', () => {
+  const none = model('no-prices', { standard: {} });
+  assert.equal(calcCost(1000, 1000, none, false), null);
+  assert.equal(calcCostWithCached(tokens(1000, 1000), none, false, 0.5), null);
+  const inputOnly = model('input-only', { standard: { input: price(3) } });
+  assert.equal(calcCostWithCached(tokens(1e6, 1e6), inputOnly, false, 0.5), 3);
+});
+
+test('cached tokens use cache_read, or input × cacheFactor without one', () => {
+  const cached = model('cached', { standard: { input: price(4), output: price(0), cache_read: price(0.4), cache_write: price(5) } });
+  assert.equal(calcCostWithCached(tokens(0, 0, 1e6), cached, false, 0.5), 0.4);
+  assert.equal(calcCostWithCached(tokens(0, 0, 0, 1e6), cached, false, 0.5), 5);
+  const fallback = model('fallback', { standard: { input: price(4), output: price(0) } });
+  assert.equal(calcCostWithCached(tokens(0, 0, 1e6), fallback, false, 0.25), 1);
+  // Cache writes without a price bill as regular input
+  assert.equal(calcCostWithCached(tokens(0, 0, 0, 1e6), fallback, false, 0.25), 4);
+});
+
+test('long-context tiers apply to the whole request above the threshold', () => {
+  const m = model('tiered', { standard: { input: price(1, { tiers: [{ above_tokens: 200000, price_per_million_tokens: 2 }] }), output: price(0) } });
+  assert.equal(calcCostWithCached(tokens(200000, 0), m, false, 0.5), 0.2);
+  assert.equal(calcCostWithCached(tokens(150000, 0, 100000), m, false, 0.5), 0.4);
+});
+
+test('per-request fees and unit prices are billed alongside tokens', () => {
+  const m = model('units', { standard: { input: price(1), output: price(1), request: { price_per_unit: 0.01, currency: 'USD' }, web_search: { price_per_unit: 0.02, currency: 'USD' } } });
+  assert.equal(calcCostWithCached({ ...tokens(0, 0), searches: 2 }, m, false, 0.5), 0.05);
+});
+
+test('monthly cost is 30 days of requests', () => {
+  assert.equal(calcMonthlyRequests(100), 3000);
+  assert.equal(calcMonthlyRequests(0), 0);
+  assert.equal(calcMonthlyRequests(-5), 0);
+  const m = model('monthly', { standard: { input: price(1), output: price(1) } });
+  assert.deepEqual(calcRowCosts(m, state()), { cost: 2, monthly: 600 });
+});
+
+test('ranking puts the cheapest first and models without a cost last', () => {
+  const cheap = model('cheap', { standard: { input: price(1), output: price(1) } });
+  const dear = model('dear', { standard: { input: price(5), output: price(5) } });
+  const free = model('free', { standard: { input: price(0), output: price(0) } });
+  const unpriced = model('unpriced', { standard: {} });
+  const rows = [unpriced, dear, cheap, free];
+  assert.deepEqual(rankByCost(rows, state()).map(m => m.model_id), ['free', 'cheap', 'dear', 'unpriced']);
+  assert.deepEqual(sortModels(rows, { key: 'cost', dir: 'desc' }, state()).map(m => m.model_id), ['unpriced', 'dear', 'cheap', 'free']);
+  assert.deepEqual(sortModels(rows, { key: 'model_id', dir: 'asc' }, state()).map(m => m.model_id), ['cheap', 'dear', 'free', 'unpriced']);
+  // Batch mode ranks by batch prices where they exist
+  const batchy = model('batchy', { standard: { input: price(3), output: price(3) }, batch: { input: price(0.1), output: price(0.1) } });
+  assert.deepEqual(rankByCost([cheap, batchy], state({ useBatch: true })).map(m => m.model_id), ['batchy', 'cheap']);
+  assert.equal(rows[0], unpriced, 'sorting must not mutate its input');
+});
+
+test('as-of dates and regions re-price a model', () => {
+  const m = model('history', { standard: { input: price(1, { region: 'us-east-1' }), output: price(2, { region: 'us-east-1' }) } }, {
+    effective_from: '2025-01-01',
+    price_history: [{ effective_from: '2024-01-01', pricing: { standard: { input: price(3), output: price(6) } } }],
+    regions: { 'eu-west-1': { pricing: { standard: { input: price(1.5), output: price(2.5) } } } },
+  });
+  assert.equal(modelAsOf(m, '2024-06-01').input, 3);
+  assert.equal(modelAsOf(m, '2023-06-01'), null);
+  assert.equal(modelInRegion(m, 'eu-west-1').input, 1.5);
+  const missing = modelInRegion(m, 'ap-south-1');
+  assert.equal(missing.unavailable, true);
+  assert.equal(missing.input, null);
+  assert.equal(modelKey(m), 'Test::history');
+});
+
+test('embedding costs: indexing once, re-embedding and queries monthly', () => {
+  const m = model('embed', { standard: { input: price(0.1) } }, { modality: 'embedding' });
+  const emb = { ...DEFAULT_EMBEDDING, reembed: 'weekly' };
+  const { cost, monthly } = calcEmbeddingCosts(m, emb, false);
+  assert.ok(Math.abs(cost - 5) < 1e-9);
+  assert.ok(Math.abs(monthly - (5 * 52 / 12 + 0.15)) < 1e-9);
+  // Unknown schedules, including inherited object keys, never re-embed
+  for(const reembed of ['constructor', 'toString', 'hourly']){
+    assert.ok(Math.abs(calcEmbeddingCosts(m, { ...emb, reembed }, false).monthly - 0.15) < 1e-9, reembed);
+  }
+});
+
+test('budget fit solves for requests per day and tokens per request', () => {
+  const m = model('budget', { standard: { input: price(1), output: price(1) } });
+  const s = state({ budget: { amount: 1200, solve: 'rpd' } });
+  const fit = calcBudgetFit(m, s);
+  assert.equal(fit.fits, true);
+  assert.equal(fit.headroom, 0.5);
+  assert.equal(fit.maxRpd, 20);
+  const tokensFit = calcBudgetFit(m, { ...s, budget: { amount: 1200, solve: 'tokens' } });
+  assert.ok(Math.abs(tokensFit.scale - 2) < 1e-9);
+  // Bisection lands within a token of the exact fit
+  assert.ok(Math.abs(tokensFit.maxTokens - 4e6) <= 1);
+  // Budgets are entered in the display currency
+  const eur = { exchangeRates: { base: 'USD', rates: { USD: 1, EUR: 0.5 } }, currency: 'EUR' };
+  assert.equal(currencyRate(eur.exchangeRates, 'EUR'), 0.5);
+  assert.equal(currencyRate(eur.exchangeRates, 'JPY'), null);
+  assert.equal(calcBudgetFit(m, { ...s, ...eur }).maxRpd, 40);
+});
+
+test('usage entries are priced per average request, at base rates without a request count', () => {
+  const m = model('usage', { standard: { input: price(1, { tiers: [{ above_tokens: 200000, price_per_million_tokens: 2 }] }), output: price(0), request: { price_per_unit: 0.01, currency: 'USD' } } });
+  const entry = { requests: 10, input: 1e6, cached: 0, cacheWrite: 0, output: 0, batch: false };
+  assert.ok(Math.abs(calcUsageCost([entry], m, 0.5) - 1.1) < 1e-9);
+  assert.equal(calcUsageCost([{ ...entry, requests: 0 }], m, 0.5), 1);
+  assert.equal(calcUsageCost([entry], model('none', { standard: {} }), 0.5), null);
+});
+
+test('self-hosted models get effective rates from instance price, throughput and utilization', () => {
+  const selfHosted = { price_per_hour: 3.6, currency: 'USD', tokens_per_second: 1000, input_tokens_per_second: 10000, utilization: 0.5 };
+  const m = normalize({ provider: 'Self-hosted', model_id: 'llama', self_hosted: selfHosted });
+  assert.ok(Math.abs(m.output - 2) < 1e-9);
+  assert.ok(Math.abs(m.input - 0.2) < 1e-9);
+  assert.deepEqual(m.warnings, []);
+  // 2.2 per request; an instance costs 86.4 a day, so 100 requests a day need 3
+  const s = state({ rateValue: 100 });
+  const { cost, monthly } = calcRowCosts(m, s);
+  assert.ok(Math.abs(cost - 2.2) < 1e-9);
+  assert.ok(Math.abs(monthly - 3 * 86.4 * 30) < 1e-9);
+  // Idle instances are still paid for, unless the model scales to zero
+  assert.equal(calcSelfHosting(m, cost, 0).instances, 1);
+  const scaleToZero = normalize({ provider: 'Self-hosted', model_id: 'llama', self_hosted: { ...selfHosted, min_instances: 0 } });
+  assert.equal(calcSelfHosting(scaleToZero, cost, 0).monthly, 0);
+  // Break-even: one instance-day buys 20 requests at 4.32, but it is full at
+  // ~39.3 and a second instance costs more than the API until 40 requests
+  assert.ok(Math.abs(calcBreakEvenRpd(m, cost, 4.32) - 40) < 1e-9);
+  assert.ok(calcSelfHosting(m, cost, 39.5).monthly > 39.5 * 4.32 * 30);
+  // Far cheaper than the API: the first instance already wins for good
+  assert.ok(Math.abs(calcBreakEvenRpd(m, cost, 22) - 86.4 / 22) < 1e-9);
+  assert.ok(Math.abs(calcBreakEvenRpd(scaleToZero, cost, 22) - 86.4 / 22) < 1e-9);
+  assert.equal(calcBreakEvenRpd(m, cost, 2), null);
+  const api = model('api', { standard: { input: price(1), output: price(3) } });
+  const cheapest = cheapestApiModel([m, api], s);
+  assert.equal(cheapest.model, api);
+  assert.equal(cheapest.cost, 4);
+  // Budgets buy whole instances
+  assert.ok(Math.abs(calcBudgetFit(m, state({ rateValue: 100, budget: { amount: 6000, solve: 'rpd' } })).maxRpd - 2 * 86.4 / 2.2) < 1e-9);
+  const broken = normalize({ provider: 'Self-hosted', model_id: 'broken', self_hosted: { price_per_hour: 2, currency: 'USD', utilization: 0.5 } });
+  assert.equal(broken.self_hosted, null);
+  assert.match(broken.warnings[0], /tokens_per_second/);
+});
+
+test('provisioned throughput: model units per term, crossover with on-demand, provisioned-only rows', () => {
+  const hourly = p => ({ price_per_hour: p, currency: 'USD', region: 'us-east-1' });
+  const provisioned = { no_commitment: hourly(10), six_month: hourly(5), input_tokens_per_minute: 1e6, output_tokens_per_minute: 1e5 };
+  const m = model('both', { standard: { input: price(1), output: price(3) }, provisioned });
+  assert.deepEqual(m.provisioned.terms.map(t => [t.key, t.price_per_hour]), [['no_commitment', 10], ['six_month', 5]]);
+  assert.deepEqual(m.warnings, []);
+  // 4 per request on demand; a unit serves 10 minutes of output per request, so 144 requests a day
+  const [best, hourlyTerm] = calcProvisioned(m, tokens(1e6, 1e6), 300);
+  assert.equal(best.key, 'six_month');
+  assert.equal(best.units, 3);
+  assert.equal(best.monthly, 3 * 5 * 24 * 30);
+  assert.equal(calcProvisionedCrossover(m, best, 4, tokens(1e6, 1e6)), 30);
+  assert.equal(calcProvisionedCrossover(m, hourlyTerm, 4, tokens(1e6, 1e6)), 60);
+  // At 0.5 per request the 144 requests a unit serves cost 72 on demand, less than its 120 a day
+  assert.equal(calcProvisionedCrossover(m, best, 0.5, tokens(1e6, 1e6)), null);
+  // At 1 per request one unit wins above 120, but 145 requests need a second
+  // (240 a day); it only stays ahead from five units, 600 requests
+  assert.ok(Math.abs(calcProvisionedCrossover(m, best, 1, tokens(1e6, 1e6)) - 600) < 1e-9);
+  assert.ok(calcProvisioned(m, tokens(1e6, 1e6), 145).find(t => t.key === 'six_month').monthly > 145 * 30);
+  // Rows with token prices keep on-demand Cost and Monthly
+  assert.equal(calcRowCosts(m, state({ rateValue: 100 })).monthly, 4 * 100 * 30);
+
+  const only = model('only', { provisioned: { six_month: hourly(5) } });
+  const { cost, monthly, provisioned: term } = calcRowCosts(only, state({ rateValue: 10 }));
+  assert.equal(monthly, 3600);
+  assert.equal(cost, 3600 / 300);
+  assert.equal(term.units, 1, 'without a published throughput one unit is assumed');
+  assert.equal(calcRowCosts(only, state({ rateValue: 0 })).cost, null);
+  assert.equal(cheapestApiModel([only, m], state()).model, m);
+  const fit = calcBudgetFit(only, state({ rateValue: 10, budget: { amount: 8000, solve: 'rpd' } }));
+  assert.equal(fit.maxRpd, Infinity);
+  assert.equal(calcBudgetFit(only, state({ rateValue: 10, budget: { amount: 3000, solve: 'rpd' } })).maxRpd, 0);
+
+  assert.equal(modelInRegion(only, 'eu-west-1').provisioned, null);
+  const odd = model('odd', { provisioned: { three_month: hourly(1), one_month: { currency: 'USD' } } });
+  assert.equal(odd.provisioned, null);
+  assert.deepEqual(odd.warnings.map(w => w.replace(/^Test odd: /, '')), ['provisioned one_month has no numeric price_per_hour', 'unknown provisioned term "three_month"']);
+});
@@ -0,0 +1,46 @@
+// Tests for token-estimator.mjs against token counts from OpenAI's o200k_base.
+// Run with: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { estimateTokens, estimateTokensByFamily, tokenizerFamily, TOKENIZER_FAMILIES } from '../token-estimator.mjs';
+
+// Text and its o200k_base token count
+const SAMPLES = {
+  prose: ['Pricing varies considerably between providers, and it is worth understanding the trade-offs before committing to one vendor for production workloads. Context length, output quality and the cost per million tokens all matter.', 37],
+  code: ['function calcCost(tokensIn, tokensOut, model){\n  const inputPrice = model.pricing?.input ?? 0;\n  return (tokensIn / 1e6) * inputPrice + (tokensOut / 1e6) * model.outputPrice;\n}\n', 55],
+  json: [JSON.stringify({ model_id: 'gpt-4o-mini', pricing: { standard: { input: { price_per_million_tokens: 0.15, currency: 'USD' } } } }, null, 2), 56],
+  cjk: ['大型语言模型的价格因供应商而异。在选择模型时，需要考虑上下文长度、输出质量以及每百万个令牌的成本。', 31],
+};
+
+for(const [name, [text, tokens]] of Object.entries(SAMPLES)){
+  test(`OpenAI estimate for ${name} is within 10% of o200k_base`, () => {
+    const estimate = estimateTokens(text, 'openai');
+    assert.ok(Math.abs(estimate / tokens - 1) <= 0.1, `${estimate} vs ${tokens}`);
+  });
+}
+
+test('empty text has no tokens; every family gets an estimate', () => {
+  assert.equal(estimateTokens('', 'anthropic'), 0);
+  const counts = estimateTokensByFamily(SAMPLES.prose[0]);
+  assert.deepEqual(Object.keys(counts), Object.keys(TOKENIZER_FAMILIES));
+  assert.ok(counts.anthropic > counts.openai);
+  assert.equal(counts.meta, counts.openai);
+});
+
+test('CJK text scales by each family\'s CJK ratio', () => {
+  const counts = estimateTokensByFamily(SAMPLES.cjk[0]);
+  assert.ok(counts.meta > counts.openai * 1.3);
+  assert.ok(counts.deepseek <= counts.anthropic);
+});
+
+test('models map to tokenizer families by provider and id', () => {
+  const family = (provider, model_id, canonical_id) => tokenizerFamily({ provider, model_id, canonical_id });
+  assert.equal(family('OpenAI', 'o3-mini'), 'openai');
+  assert.equal(family('Anthropic', 'claude-haiku-4.5'), 'anthropic');
+  assert.equal(family('Amazon Bedrock', 'bedrock-anthropic-claude-3-haiku'), 'anthropic');
+  assert.equal(family('Amazon Bedrock', 'bedrock-meta-llama-3-1-instruct-8b'), 'meta');
+  assert.equal(family('Google', 'gemini-2.5-flash'), 'google');
+  assert.equal(family('Amazon Bedrock', 'bedrock-amazon-nova-amazon-nova-micro'), 'other');
+});
@@ -0,0 +1,53 @@
+// Tests for url-state.mjs: decoding and encoding shareable-link params.
+// Run with: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SORT_KEYS, isStepList, REEMBEDS_PER_MONTH } from '../pricing-engine.mjs';
+import { decodeURLParams, encodeURLParams } from '../url-state.mjs';
+
+// A subset of app.js's URL_STATE_FIELDS
+const FIELDS = [
+  { param: 'rpd', path: 'rateValue', type: 'float' },
+  { param: 'sort', path: 'sort', type: 'sort', keys: SORT_KEYS },
+  { param: 'top', path: 'topN', type: 'enum', values: ['all', '5', '10'] },
+  { param: 'wf', path: 'workflow.steps', type: 'json', valid: isStepList },
+  { param: 'asof', path: 'asOfDate', type: 'date' },
+  { param: 'data', path: 'dataUrls', type: 'repeated' },
+  { param: 'reembed', path: 'embedding.reembed', type: 'enum', values: Object.keys(REEMBEDS_PER_MONTH) },
+  { param: 'cur', path: 'currency', type: 'string', valid: code => /^[A-Z]{3}$/.test(code) },
+];
+
+const decode = search => decodeURLParams(new URLSearchParams(search), FIELDS);
+
+test('well-formed params decode into a partial state', () => {
+  const steps = [{ name: 'Plan', in: 100, out: 10 }];
+  const patch = decode(`rpd=250&sort=monthly.desc&top=5&wf=${encodeURIComponent(JSON.stringify(steps))}&asof=2025-01-01`);
+  assert.deepEqual(patch, { rateValue: 250, sort: { key: 'monthly', dir: 'desc' }, topN: '5', workflow: { steps }, asOfDate: '2025-01-01' });
+});
+
+test('malformed workflow, sort and top params are left out', () => {
+  for(const wf of ['{}', '5', '"steps"', 'null', '[1,2]', '[[]]', '[{"name":"a"},null]', '{not json']){
+    assert.deepEqual(decode(`wf=${encodeURIComponent(wf)}`), {}, `wf=${wf}`);
+  }
+  assert.deepEqual(decode('sort=__proto__.desc'), {});
+  assert.deepEqual(decode('sort=bogus'), {});
+  assert.deepEqual(decode('top=7'), {});
+  assert.deepEqual(decode('top=all&sort=cost'), { topN: 'all', sort: { key: 'cost', dir: 'asc' } });
+});
+
+test('data URLs round-trip one param each, commas included', () => {
+  const state = { dataUrls: ['https://example.com/a,b.json', 'team.json'] };
+  const params = encodeURLParams(state, { dataUrls: [] }, FIELDS);
+  assert.deepEqual(params.getAll('data'), state.dataUrls);
+  assert.deepEqual(decodeURLParams(params, FIELDS), state);
+  assert.equal(encodeURLParams({ dataUrls: [] }, { dataUrls: [] }, FIELDS).toString(), '');
+});
+
+test('enum and checked string params drop values outside their list', () => {
+  assert.deepEqual(decode('reembed=weekly&cur=EUR'), { embedding: { reembed: 'weekly' }, currency: 'EUR' });
+  for(const bad of ['constructor', 'toString', '__proto__', 'Weekly']){
+    assert.deepEqual(decode(`reembed=${bad}&cur=${bad}`), {}, bad);
+  }
+});
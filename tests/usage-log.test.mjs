@@ -0,0 +1,103 @@
+// Tests for usage-log.mjs: parsing provider usage exports and pricing them.
+// Run with: node --test tests/
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalize } from '../pricing-engine.mjs';
+import { parseCsv, parseUsageLog, matchUsageModel, summarizeUsage } from '../usage-log.mjs';
+
+const price = p => ({ price_per_million_tokens: p, currency: 'USD' });
+
+const MODELS = [
+  normalize({ provider: 'OpenAI', model_id: 'gpt-4o', pricing: { standard: { input: price(2.5), output: price(10), cache_read: price(1.25) }, batch: { input: price(1.25), output: price(5) } } }),
+  normalize({ provider: 'OpenAI', model_id: 'gpt-4o-mini', pricing: { standard: { input: price(0.15), output: price(0.6) } } }),
+  normalize({ provider: 'Anthropic', model_id: 'claude-haiku-4.5', pricing: { standard: { input: price(1), output: price(5), cache_read: price(0.1), cache_write: price(1.25) } } }),
+  normalize({ provider: 'Amazon Bedrock', model_id: 'bedrock-anthropic-claude-haiku-4-5', canonical_id: 'claude-haiku-4.5', pricing: { standard: { input: price(1), output: price(5) } } }),
+];
+
+test('parseCsv handles quotes, escaped quotes, CRLF and blank lines', () => {
+  assert.deepEqual(parseCsv('a,"b, c","say ""hi"""\r\n\r\n1,2,3'), [['a', 'b, c', 'say "hi"'], ['1', '2', '3']]);
+});
+
+test('OpenAI usage CSV: cached tokens are taken out of input; batch rows kept apart', () => {
+  const csv = [
+    'start_time,end_time,start_time_iso,project_id,num_model_requests,model,batch,input_tokens,output_tokens,input_cached_tokens',
+    '1735689600,1735776000,2025-01-01T00:00:00+00:00,proj,100,gpt-4o-2024-08-06,False,"1,000,000",200000,400000',
+    '1735689600,1735776000,2025-01-01T00:00:00+00:00,proj2,50,gpt-4o-2024-08-06,False,500000,100000,0',
+    '1735689600,1735776000,2025-01-01T00:00:00+00:00,proj,10,gpt-4o-2024-08-06,True,100000,10000,0',
+    '1735776000,1735862400,2025-01-02T00:00:00+00:00,proj,5,,False,10,10,0',
+  ].join('\n');
+  const { format, entries, skipped } = parseUsageLog(csv);
+  assert.equal(format, 'csv');
+  assert.equal(skipped, 1);
+  assert.deepEqual(entries, [
+    { date: '2025-01-01', model: 'gpt-4o-2024-08-06', requests: 150, input: 1100000, cached: 400000, cacheWrite: 0, output: 300000, batch: false },
+    { date: '2025-01-01', model: 'gpt-4o-2024-08-06', requests: 10, input: 100000, cached: 0, cacheWrite: 0, output: 10000, batch: true },
+  ]);
+});
+
+test('Anthropic console CSV: cache reads are on top of input; cache writes are summed', () => {
+  const csv = [
+    'usage_date_utc,model_version,api_key,workspace,usage_type,usage_input_tokens_no_cache,usage_input_tokens_cache_write_5m,usage_input_tokens_cache_write_1h,usage_input_tokens_cache_read,usage_output_tokens',
+    '2025-10-20,claude-haiku-4-5-20251001,key,Default,standard,2000000,100000,50000,1000000,300000',
+  ].join('\r\n');
+  const [entry] = parseUsageLog(csv).entries;
+  assert.deepEqual(entry, { date: '2025-10-20', model: 'claude-haiku-4-5-20251001', requests: 0, input: 2000000, cached: 1000000, cacheWrite: 150000, output: 300000, batch: false });
+});
+
+test('JSONL request logs: flat fields and nested usage objects, one request per line', () => {
+  const jsonl = [
+    JSON.stringify({ timestamp: 1735689600, model: 'gpt-4o-mini', input_tokens: 1200, cached_tokens: 200, output_tokens: 300 }),
+    JSON.stringify({ created: 1735693200, model: 'gpt-4o-mini', usage: { prompt_tokens: 1000, completion_tokens: 100, prompt_tokens_details: { cached_tokens: 0 } } }),
+    JSON.stringify({ created_at: '2025-01-02T10:00:00Z', model: 'claude-haiku-4-5', usage: { input_tokens: 50, cache_read_input_tokens: 4000, cache_creation_input_tokens: 100, output_tokens: 20 } }),
+    '',
+  ].join('\n');
+  const { format, entries } = parseUsageLog(jsonl);
+  assert.equal(format, 'json');
+  assert.deepEqual(entries, [
+    { date: '2025-01-01', model: 'gpt-4o-mini', requests: 2, input: 2000, cached: 200, cacheWrite: 0, output: 400, batch: false },
+    { date: '2025-01-02', model: 'claude-haiku-4-5', requests: 1, input: 50, cached: 4000, cacheWrite: 100, output: 20, batch: false },
+  ]);
+});
+
+test('pretty-printed JSON: a single record or an array of records', () => {
+  const record = { timestamp: 1735689600, model: 'gpt-4o-mini', usage: { prompt_tokens: 1000, completion_tokens: 100 } };
+  const entry = { date: '2025-01-01', model: 'gpt-4o-mini', requests: 1, input: 1000, cached: 0, cacheWrite: 0, output: 100, batch: false };
+  assert.deepEqual(parseUsageLog(JSON.stringify(record, null, 2)).entries, [entry]);
+  const { format, entries } = parseUsageLog(JSON.stringify([record, record], null, 2));
+  assert.equal(format, 'json');
+  assert.deepEqual(entries, [{ ...entry, requests: 2, input: 2000, output: 200 }]);
+});
+
+test('files that are not usage logs are rejected', () => {
+  assert.throws(() => parseUsageLog(''), /empty/);
+  assert.throws(() => parseUsageLog('name,value\na,1'), /No model column/);
+  assert.throws(() => parseUsageLog('model,notes\ngpt-4o,x'), /No token columns/);
+  assert.throws(() => parseUsageLog('{"model": '), /Invalid JSON/);
+  assert.throws(() => parseUsageLog('[{"model": "gpt-4o"},'), /Invalid JSON/);
+});
+
+test('log model names match ids, canonical ids and dated snapshots', () => {
+  assert.equal(matchUsageModel('gpt-4o', MODELS).model_id, 'gpt-4o');
+  assert.equal(matchUsageModel('gpt-4o-mini-2024-07-18', MODELS).model_id, 'gpt-4o-mini');
+  assert.equal(matchUsageModel('claude-haiku-4-5-20251001', MODELS).provider, 'Anthropic');
+  assert.equal(matchUsageModel('gpt-4o-audio-preview', MODELS), null);
+});
+
+test('summary prices the traffic on its own models and on an alternative, per day and model', () => {
+  const entries = [
+    { date: '2025-01-01', model: 'gpt-4o', requests: 10, input: 1e6, cached: 0, cacheWrite: 0, output: 1e5, batch: false },
+    { date: '2025-01-01', model: 'gpt-4o', requests: 10, input: 1e6, cached: 0, cacheWrite: 0, output: 0, batch: true },
+    { date: '2025-01-02', model: 'claude-haiku-4-5', requests: 0, input: 1e6, cached: 1e6, cacheWrite: 0, output: 1e5, batch: false },
+    { date: '2025-01-02', model: 'mystery-model', requests: 3, input: 1e6, cached: 0, cacheWrite: 0, output: 0, batch: false },
+  ];
+  const mini = MODELS[1];
+  const { total, days, models } = summarizeUsage(entries, MODELS, { alternative: mini, cacheFactor: 0.5 });
+  assert.equal(total.requests, 23);
+  assert.equal(total.actual, 3.5 + 1.25 + 1.6);
+  assert.ok(Math.abs(total.alternative - (0.21 + 0.15 + 0.285 + 0.15)) < 1e-9);
+  assert.deepEqual(days.map(d => [d.date, d.actual]), [['2025-01-01', 4.75], ['2025-01-02', 1.6]]);
+  assert.deepEqual(models.map(u => [u.name, u.model && u.model.model_id]), [['gpt-4o', 'gpt-4o'], ['claude-haiku-4-5', 'claude-haiku-4.5'], ['mystery-model', null]]);
+  assert.equal(models[2].actual, null);
+});
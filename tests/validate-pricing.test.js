@@ -0,0 +1,90 @@
+// Tests for scripts/validate-pricing.js: the schema subset and the provider key check.
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { validateFile, loadEngine } = require('../scripts/validate-pricing.js');
+
+const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'pricing.schema.json'), 'utf8'));
+const exchangeRates = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'exchange-rates.json'), 'utf8'));
+
+const price = p => ({ price_per_million_tokens: p, currency: 'USD' });
+
+// Errors for `records` written to a temporary file
+function errorsFor(records, engine){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-pricing-'));
+  const file = path.join(dir, 'test-pricing.json');
+  try {
+    fs.writeFileSync(file, JSON.stringify(records));
+    return validateFile(file, schema, engine, exchangeRates).map(e => `${e.at}: ${e.message}`);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test('the schema lists every key normalize accepts, and no others', async () => {
+  const { PRICING_COMPONENTS, PROVIDER_ADAPTERS } = await loadEngine();
+  const accepted = new Set([
+    ...Object.entries(PRICING_COMPONENTS).flatMap(([name, c]) => [name, ...c.aliases]),
+    ...Object.values(PROVIDER_ADAPTERS).flatMap(a => Object.keys(a.aliases)),
+  ]);
+  assert.deepEqual(Object.keys(schema.$defs.tier.properties).sort(), [...accepted].sort());
+});
+
+test('provider aliases are only accepted for their provider', async () => {
+  const engine = await loadEngine();
+  const deepseek = { provider: 'DeepSeek', model_id: 'ds', pricing: { standard: { input_cache_miss: price(0.5), input_cache_hit: price(0.1), output: price(2) } } };
+  const generic = { provider: 'OpenAI', model_id: 'gpt', pricing: { standard: { input: price(1), cached_input: price(0.5), output: price(2) } } };
+  assert.deepEqual(errorsFor([deepseek, generic], engine), []);
+
+  const wrong = {
+    provider: 'OpenAI',
+    model_id: 'gpt-x',
+    pricing: { standard: { input_cache_miss: price(1), output: price(2) } },
+    effective_from: '2025-06-01',
+    price_history: [{ effective_from: '2025-01-01', pricing: { batch: { cache_hits: price(0.1) } } }],
+  };
+  assert.deepEqual(errorsFor([wrong], engine), [
+    'pricing.standard: "input_cache_miss" is not a pricing key for OpenAI',
+    'price_history[0].pricing.batch: "cache_hits" is not a pricing key for OpenAI',
+  ]);
+  // Without the engine only the schema is checked
+  assert.deepEqual(errorsFor([wrong]), []);
+});
+
+test('self-hosted throughput must be positive and utilization within (0, 1]', () => {
+  const record = selfHosted => ({ provider: 'Self-hosted', model_id: `llama-${JSON.stringify(selfHosted)}`, self_hosted: { price_per_hour: 4, currency: 'USD', tokens_per_second: 1000, utilization: 0.6, ...selfHosted } });
+  assert.deepEqual(errorsFor([record({}), record({ utilization: 1 })]), []);
+  assert.deepEqual(errorsFor([record({ tokens_per_second: 0, utilization: 5 }), record({ utilization: 0, input_tokens_per_second: 0 })]), [
+    'self_hosted.tokens_per_second: must be > 0',
+    'self_hosted.utilization: must be <= 1',
+    'self_hosted.utilization: must be > 0',
+    'self_hosted.input_tokens_per_second: must be > 0',
+  ]);
+});
+
+test('prices the engine cannot use fail validation', async () => {
+  const engine = await loadEngine();
+  const record = (model_id, pricing) => ({ provider: 'OpenAI', model_id, pricing: { standard: pricing } });
+  const ok = [
+    record('eur', { input: { price_per_million_tokens: 2, currency: 'EUR' }, output: price(8) }),
+    record('audio', { audio_minute: { price_per_million_tokens: 40, tokens_per_minute: 600, currency: 'USD' } }),
+  ];
+  assert.deepEqual(errorsFor(ok, engine), []);
+  const bad = [
+    record('per-unit-input', { input: { price_per_unit: 2, currency: 'USD' }, output: price(8) }),
+    record('token-image', { image_input: price(5) }),
+    record('xyz', { input: { price_per_million_tokens: 2, currency: 'XYZ' }, output: price(8) }),
+  ];
+  assert.deepEqual(errorsFor(bad, engine), [
+    ': "input" has no numeric price_per_million_tokens',
+    ': "image_input" has no numeric price_per_unit',
+    ': no exchange rate for XYZ; prices left unconverted',
+  ]);
+  // Without the engine only the schema is checked
+  assert.deepEqual(errorsFor(bad), []);
+});
@@ -0,0 +1,83 @@
+// Offline token-count estimates for pasted prompts. No tokenizer vocabularies
+// are bundled: text is split the way BPE tokenizers pre-split it (words with
+// their leading space, digit groups, punctuation runs, CJK characters) and
+// each piece is costed with rules calibrated against OpenAI's o200k_base;
+// other tokenizer families scale that count. Expect roughly ±10% for
+// OpenAI on prose, code and CJK text, and looser figures for the others.
+
+// Tokens per o200k token for each family's tokenizer on English text, with
+// the CJK and source-code ratios where they differ. Llama 3 extends cl100k,
+// measured at 1.0 (prose, code) and 1.56 (CJK); the others have no public
+// offline tokenizer and use published comparisons. `match` picks the family
+// from a model's id and provider (Bedrock ids name the model vendor).
+export const TOKENIZER_FAMILIES = {
+  openai: { label: 'OpenAI', scale: 1, match: /openai|\bgpt|\bo\d\b|chatgpt|davinci|babbage|codex/ },
+  anthropic: { label: 'Anthropic Claude', scale: 1.2, code: 1.3, cjk: 1.6, match: /anthropic|claude/ },
+  google: { label: 'Google Gemini', scale: 1.05, cjk: 1, match: /google|gemini|gemma/ },
+  meta: { label: 'Meta Llama', scale: 1, cjk: 1.5, match: /meta|llama/ },
+  deepseek: { label: 'DeepSeek', scale: 1.05, cjk: 1, match: /deepseek/ },
+  mistral: { label: 'Mistral', scale: 1.1, cjk: 1.6, match: /mistral|mixtral|pixtral|codestral/ },
+  other: { label: 'Other', scale: 1.1, cjk: 1.5, match: null },
+};
+
+export const DEFAULT_TOKENIZER = 'openai';
+
+// Tokenizer family of a normalized model
+export function tokenizerFamily(m){
+  const id = `${m.model_id || ''} ${m.canonical_id || ''} ${m.provider || ''}`.toLowerCase();
+  return Object.keys(TOKENIZER_FAMILIES).find(key => TOKENIZER_FAMILIES[key].match && TOKENIZER_FAMILIES[key].match.test(id)) || 'other';
+}
+
+// o200k_base's pre-tokenizer: words (split at case changes, with one leading
+// symbol), 1-3 digit groups, symbol runs, newlines and spaces. BPE merges
+// never cross these pieces, so the estimate is a sum over them.
+const PIECE_RE = /[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]*[\p{Ll}\p{Lm}\p{Lo}\p{M}]+(?:'[sStTmMdD]|'[rRvV][eE]|'[lL][lL])?|[^\r\n\p{L}\p{N}]?[\p{Lu}\p{Lt}\p{Lm}\p{Lo}\p{M}]+[\p{Ll}\p{Lm}\p{Lo}\p{M}]*(?:'[sStTmMdD]|'[rRvV][eE]|'[lL][lL])?|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n/]*|\s*[\r\n]+|\s+(?!\S)|\s+/gu;
+const CJK_RE = /[぀-ヿ㐀-鿿가-힯豈-﫿]/gu;
+const CODE_RE = /[{};=<>]|\b(function|return|const|let|def|import|class)\b/g;
+
+// Expected o200k tokens for one piece, fitted on English prose, code and JSON
+function pieceTokens(piece){
+  const word = piece.replace(/^[^\p{L}]/u, '');
+  if(!/\p{L}/u.test(word)){
+    const symbols = piece.trim().length;
+    return symbols <= 2 ? 1 : 0.35 * symbols + 0.1;
+  }
+  if(/^[A-Za-z']+$/.test(word)){
+    // Acronyms and constants split more than ordinary words
+    if(!/[a-z]/.test(word)) return word.length <= 3 ? 1 : 0.6 + 0.2 * word.length;
+    return word.length <= 6 ? 1.02 : 1 + 0.05 * (word.length - 5);
+  }
+  // CJK runs have no spaces to split on; other scripts' words split a little more
+  const cjk = (word.match(CJK_RE) || []).length;
+  return Math.max(1, cjk * 0.65 + (word.length - cjk) / 5);
+}
+
+// o200k estimate of the text, split into CJK and other tokens, and the
+// share of its lines that look like source code
+function analyzeText(text){
+  let base = 0, cjk = 0;
+  for(const [piece] of text.matchAll(PIECE_RE)){
+    const tokens = pieceTokens(piece);
+    const chars = (piece.match(CJK_RE) || []).length;
+    const cjkShare = chars ? Math.min(1, chars * 0.65 / tokens) : 0;
+    cjk += tokens * cjkShare;
+    base += tokens * (1 - cjkShare);
+  }
+  const lines = text.split('\n').length;
+  const code = Math.min(1, (text.match(CODE_RE) || []).length / lines);
+  return { base, cjk, code };
+}
+
+// Estimated token count of `text` for a tokenizer family
+export function estimateTokens(text, family = DEFAULT_TOKENIZER){
+  if(!text) return 0;
+  const f = TOKENIZER_FAMILIES[family] || TOKENIZER_FAMILIES.other;
+  const { base, cjk, code } = analyzeText(text);
+  const scale = f.scale + ((f.code ?? f.scale) - f.scale) * code;
+  return Math.round(base * scale + cjk * (f.cjk ?? f.scale));
+}
+
+// Estimates for every family at once, e.g. { openai: 812, anthropic: 975, ... }
+export function estimateTokensByFamily(text){
+  return Object.fromEntries(Object.keys(TOKENIZER_FAMILIES).map(key => [key, estimateTokens(text, key)]));
+}
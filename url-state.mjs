@@ -0,0 +1,76 @@
+// Shareable-link state: codecs between state values and query params, and
+// decoding/encoding a list of fields ({ param, path, type, ... }). Links are
+// user input, so decoders return undefined for anything malformed and the
+// field keeps its saved or default value. Pure functions only, like
+// pricing-engine.mjs.
+
+import { DATE_RE } from './pricing-engine.mjs';
+
+export const URL_CODECS = {
+  int: { encode: v => String(v), decode: raw => parseInt(raw) || 0 },
+  float: { encode: v => String(v), decode: raw => parseFloat(raw) || 0 },
+  // Any text, or text passing the field's `valid` predicate
+  string: { encode: v => String(v), decode: (raw, field) => !field.valid || field.valid(raw) ? raw : undefined },
+  // One of the field's `values`
+  enum: { encode: v => String(v), decode: (raw, field) => field.values.includes(raw) ? raw : undefined },
+  flag: { encode: (v, field) => v ? field.on : null, decode: (raw, field) => raw === field.on },
+  list: { encode: v => v.join(','), decode: raw => raw.split(',').filter(Boolean) },
+  // One param per value (`data=a&data=b`), for values that may contain commas
+  repeated: { repeated: true, encode: v => v.map(String), decode: raws => raws.filter(Boolean) },
+  // `key.dir` with a key from the field's `keys`
+  sort: {
+    encode: v => `${v.key}.${v.dir}`,
+    decode: (raw, field) => {
+      const [key, dir] = raw.split('.');
+      if(field.keys && !field.keys.includes(key)) return undefined;
+      return { key, dir: dir === 'desc' ? 'desc' : 'asc' };
+    },
+  },
+  date: { encode: v => v, decode: raw => DATE_RE.test(raw) ? raw : '' },
+  // JSON checked by the field's `valid` predicate
+  json: {
+    encode: v => JSON.stringify(v),
+    decode: (raw, field) => {
+      let value;
+      try { value = JSON.parse(raw); } catch(e){ return undefined; }
+      return !field.valid || field.valid(value) ? value : undefined;
+    },
+  },
+};
+
+export function getPath(obj, path){
+  return path.split('.').reduce((node, key) => node == null ? undefined : node[key], obj);
+}
+
+export function setPath(obj, path, value){
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((node, key) => (node[key] = node[key] || {}), obj);
+  target[last] = value;
+}
+
+// Partial state from the params of `fields` present in `params` (a
+// URLSearchParams); params that fail to decode are left out
+export function decodeURLParams(params, fields){
+  const patch = {};
+  for(const field of fields){
+    if(!params.has(field.param)) continue;
+    const codec = URL_CODECS[field.type];
+    const value = codec.decode(codec.repeated ? params.getAll(field.param) : params.get(field.param), field);
+    if(value !== undefined) setPath(patch, field.path, value);
+  }
+  return patch;
+}
+
+// Query params for `fields`, leaving out values equal to their `defaults`
+export function encodeURLParams(state, defaults, fields){
+  const params = new URLSearchParams();
+  for(const field of fields){
+    const value = getPath(state, field.path);
+    if(value == null || JSON.stringify(value) === JSON.stringify(getPath(defaults, field.path))) continue;
+    const encoded = URL_CODECS[field.type].encode(value, field);
+    if(Array.isArray(encoded)) encoded.forEach(v => params.append(field.param, v));
+    else if(encoded != null && encoded !== '') params.set(field.param, encoded);
+  }
+  return params;
+}
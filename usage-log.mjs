@@ -0,0 +1,234 @@
+// Usage-log import: parses provider usage exports (OpenAI usage CSV,
+// Anthropic console CSV, JSON or JSONL request logs) into per-day, per-model usage
+// entries and prices them with pricing-engine.mjs. Pure functions only, so
+// the page can parse dropped files locally and Node can reuse it.
+
+import { calcUsageCost } from './pricing-engine.mjs';
+
+// Columns (or JSON fields, matched by their last path segments) for each
+// usage field, in order of preference
+const USAGE_COLUMNS = {
+  model: ['model', 'model_version', 'model_id', 'model_name'],
+  date: ['date', 'usage_date_utc', 'usage_date', 'start_time_iso', 'start_time', 'timestamp', 'created_at', 'created', 'time'],
+  requests: ['num_model_requests', 'requests', 'request_count', 'num_requests'],
+  input: ['input_tokens', 'prompt_tokens', 'usage_input_tokens_no_cache', 'input_tokens_no_cache', 'uncached_input_tokens'],
+  cached: ['input_cached_tokens', 'cached_tokens', 'cache_read_input_tokens', 'usage_input_tokens_cache_read', 'cache_read_tokens'],
+  cacheWrite: ['cache_creation_input_tokens', 'cache_write_tokens', 'cache_creation_tokens'],
+  output: ['output_tokens', 'completion_tokens', 'usage_output_tokens'],
+  batch: ['batch', 'is_batch'],
+};
+
+// Anthropic's console splits cache writes by TTL; both bill as cache writes
+const CACHE_WRITE_SPLIT = ['usage_input_tokens_cache_write_5m', 'usage_input_tokens_cache_write_1h'];
+
+// Cached-token columns already counted in the input column (OpenAI's
+// input_cached_tokens and usage.*_tokens_details.cached_tokens); Anthropic's
+// cache reads come on top of input
+const cachedInInput = column => column === 'cached_tokens' || /_cached_tokens$/.test(column || '');
+
+// Dated model snapshots, e.g. gpt-4o-2024-08-06 or claude-3-5-haiku-20241022
+const DATE_SUFFIX_RE = /-(\d{4}-\d{2}-\d{2}|\d{8})$/;
+
+const columnName = s => String(s).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Rows of a CSV document: quoted fields, escaped quotes and CRLF line ends
+export function parseCsv(text){
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for(let i = 0; i < text.length; i++){
+    const c = text[i];
+    if(quoted){
+      if(c === '"' && text[i + 1] === '"'){ field += '"'; i++; }
+      else if(c === '"') quoted = false;
+      else field += c;
+    } else if(c === '"') quoted = true;
+    else if(c === ','){ row.push(field); field = ''; }
+    else if(c === '\n' || c === '\r'){
+      if(c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = []; field = '';
+    } else field += c;
+  }
+  if(field || row.length){ row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+// Leaf values of a JSON log line keyed by their path, e.g. usage_prompt_tokens
+function flattenJson(obj, prefix = '', out = {}){
+  for(const [key, value] of Object.entries(obj)){
+    const path = prefix + columnName(key);
+    if(value && typeof value === 'object' && !Array.isArray(value)) flattenJson(value, path + '_', out);
+    else out[path] = value;
+  }
+  return out;
+}
+
+// Column for a usage field: an exact name, else the shortest path ending in
+// one (so usage_input_tokens wins over usage_cache_read_input_tokens)
+function findColumn(columns, aliases){
+  for(const alias of aliases){
+    if(columns.includes(alias)) return alias;
+  }
+  for(const alias of aliases){
+    const matches = columns.filter(c => c.endsWith('_' + alias)).sort((a,b) => a.length - b.length);
+    if(matches.length) return matches[0];
+  }
+  return null;
+}
+
+// YYYY-MM-DD (UTC) for ISO dates and Unix timestamps in seconds or milliseconds
+function usageDay(value){
+  if(value == null || value === '') return null;
+  const text = String(value).trim();
+  if(/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  const n = Number(text);
+  const time = Number.isFinite(n) ? (n > 1e11 ? n : n * 1000) : Date.parse(text);
+  return Number.isFinite(time) ? new Date(time).toISOString().slice(0, 10) : null;
+}
+
+const count = value => {
+  const n = Number(String(value ?? '').replace(/[,_\s]/g, ''));
+  return Number.isFinite(n) && n > 0 ? n : 0;
+};
+
+// One usage entry from a row of named values, or null without a model or tokens
+function usageEntry(row, columns, rowPerRequest){
+  const get = field => columns[field] ? row[columns[field]] : undefined;
+  const model = get('model');
+  if(model == null || String(model).trim() === '') return null;
+  let input = count(get('input'));
+  const cached = count(get('cached'));
+  if(cachedInInput(columns.cached)) input = Math.max(0, input - cached);
+  const cacheWrite = count(get('cacheWrite')) + columns.cacheWriteSplit.reduce((sum, c) => sum + count(row[c]), 0);
+  const output = count(get('output'));
+  const batch = /^(true|1|yes|batch)$/i.test(String(get('batch') ?? '').trim());
+  if(!input && !cached && !cacheWrite && !output) return null;
+  return {
+    date: usageDay(get('date')),
+    model: String(model).trim(),
+    // Daily exports without a request count (Anthropic's console) leave it at 0
+    requests: columns.requests ? count(get('requests')) : (rowPerRequest ? 1 : 0),
+    input, cached, cacheWrite, output, batch,
+  };
+}
+
+function usageColumns(names){
+  const columns = Object.fromEntries(Object.entries(USAGE_COLUMNS).map(([field, aliases]) => [field, findColumn(names, aliases)]));
+  columns.cacheWriteSplit = CACHE_WRITE_SPLIT.filter(c => names.includes(c));
+  return columns;
+}
+
+// Sums entries for the same day, model and pricing type
+function aggregateUsage(entries){
+  const byKey = new Map();
+  for(const e of entries){
+    const key = `${e.date}|${e.model}|${e.batch}`;
+    const sum = byKey.get(key);
+    if(!sum){
+      byKey.set(key, { ...e });
+      continue;
+    }
+    for(const field of ['requests', 'input', 'cached', 'cacheWrite', 'output']) sum[field] += e[field];
+  }
+  return [...byKey.values()].sort((a,b) => (a.date || '').localeCompare(b.date || '') || a.model.localeCompare(b.model));
+}
+
+// Parses a usage export. Returns { format, entries, skipped } where entries
+// are { date, model, requests, input, cached, cacheWrite, output, batch }
+// summed per day, model and pricing type, with `input` excluding cached
+// tokens and `requests` 0 when the export has no request count. Throws an
+// Error when the file is not a usage log.
+export function parseUsageLog(text){
+  text = String(text || '').replace(/^\uFEFF/, '');
+  const trimmed = text.trim();
+  if(!trimmed) throw new Error('The file is empty');
+  let rows, format;
+  if(trimmed[0] === '[' || trimmed[0] === '{'){
+    format = 'json';
+    // A JSON array of records or a single (possibly pretty-printed) record,
+    // else JSONL with one record per line
+    try {
+      rows = [].concat(JSON.parse(trimmed));
+    } catch(e){
+      if(trimmed[0] === '[') throw new Error(`Invalid JSON: ${e.message}`);
+      try {
+        rows = trimmed.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+      } catch(lineError){
+        throw new Error(`Invalid JSON: ${lineError.message}`);
+      }
+    }
+    rows = rows.filter(r => r && typeof r === 'object').map(r => flattenJson(r));
+  } else {
+    format = 'csv';
+    const [header, ...body] = parseCsv(text);
+    const names = header.map(columnName);
+    rows = body.map(cells => Object.fromEntries(names.map((name, i) => [name, cells[i]])));
+  }
+  const columns = usageColumns([...new Set(rows.flatMap(r => Object.keys(r)))]);
+  if(!columns.model) throw new Error(`No model column (expected one of ${USAGE_COLUMNS.model.join(', ')})`);
+  if(!columns.input && !columns.cached && !columns.output) throw new Error('No token columns (e.g. input_tokens, output_tokens)');
+  // JSON log lines can differ in shape, so their fields are looked up per shape
+  const shapes = new Map();
+  const columnsFor = row => {
+    if(format === 'csv') return columns;
+    const shape = Object.keys(row).join(',');
+    if(!shapes.has(shape)) shapes.set(shape, usageColumns(Object.keys(row)));
+    return shapes.get(shape);
+  };
+  const entries = [];
+  let skipped = 0;
+  for(const row of rows){
+    const entry = usageEntry(row, columnsFor(row), format === 'json');
+    if(entry) entries.push(entry); else skipped++;
+  }
+  return { format, entries: aggregateUsage(entries), skipped };
+}
+
+const matchKey = id => String(id || '').trim().toLowerCase().replace(/\./g, '-');
+
+// The model a log's model name was billed as: its model_id or canonical_id,
+// ignoring dots vs dashes and, failing that, a snapshot date suffix
+export function matchUsageModel(name, models){
+  const key = matchKey(name);
+  for(const candidate of [key, key.replace(DATE_SUFFIX_RE, '')]){
+    const match = models.find(m => matchKey(m.model_id) === candidate) || models.find(m => m.canonical_id && matchKey(m.canonical_id) === candidate);
+    if(match) return match;
+  }
+  return null;
+}
+
+const emptyTotals = () => ({ requests: 0, input: 0, cached: 0, cacheWrite: 0, output: 0, actual: null, alternative: null });
+
+function addUsage(totals, entry, actual, alternative){
+  for(const field of ['requests', 'input', 'cached', 'cacheWrite', 'output']) totals[field] += entry[field];
+  if(actual != null) totals.actual = (totals.actual || 0) + actual;
+  if(alternative != null) totals.alternative = (totals.alternative || 0) + alternative;
+}
+
+// What the traffic cost on the models it used (`actual`, leaving out models
+// not found in `models`) and on the `alternative` model, in total, per day
+// and per model named in the log (`model` is null when unmatched)
+export function summarizeUsage(entries, models, { alternative = null, cacheFactor } = {}){
+  const matches = new Map();
+  const total = emptyTotals();
+  const days = new Map();
+  const byModel = new Map();
+  for(const entry of entries){
+    if(!matches.has(entry.model)) matches.set(entry.model, matchUsageModel(entry.model, models));
+    const model = matches.get(entry.model);
+    const actual = model ? calcUsageCost([entry], model, cacheFactor) : null;
+    const alt = alternative ? calcUsageCost([entry], alternative, cacheFactor) : null;
+    addUsage(total, entry, actual, alt);
+    const day = entry.date || 'undated';
+    if(!days.has(day)) days.set(day, { date: day, ...emptyTotals() });
+    addUsage(days.get(day), entry, actual, alt);
+    if(!byModel.has(entry.model)) byModel.set(entry.model, { name: entry.model, model, ...emptyTotals() });
+    addUsage(byModel.get(entry.model), entry, actual, alt);
+  }
+  return {
+    total,
+    days: [...days.values()],
+    models: [...byModel.values()].sort((a,b) => (b.actual ?? -1) - (a.actual ?? -1) || b.requests - a.requests),
+  };
+}